@@ -1,16 +1,40 @@
-/* app.js — with book_cost.json import
- * - Loads characters.json & book_cost.json
- * - Level costs inline
- * - Day/Region → talent book series mapping (icon rules)
- * - Card: element + series badge + 3 tier icons (가르침/인도/철학)
- * - Totals: base rows (모라/경험치/보라책) + series-by-tier rows with icons
+/* app.js — page UI (calculations live in calc.js, strings in i18n.js, name search in search.js)
+ * - Loads characters.json / weapons.json / book_cost.json; roster, plans, inventory and history in localStorage
+ * - Cards: character / weapon goals with per-card costs, goal checks, breakdown and ✓ finished steps
+ * - Totals: roster sums against owned materials, domain schedule, resin estimate, budget by priority, scenarios
+ * - Import / export: plan JSON file and share links (#plan=...)
  */
 
 // ------------------------------
 // 0) Utils
 const $  = (sel, root=document) => root.querySelector(sel);
 const $$ = (sel, root=document) => Array.from(root.querySelectorAll(sel));
-const fmt = n => (n||0).toLocaleString('ko-KR');
+const fmt = n => (n||0).toLocaleString(LANGUAGES[LANG].locale);
+
+function downloadFile(name, text, type){
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+// Generated stand-in for a missing image: initials on a tinted tile (data: SVG, no file needed offline)
+const ELEMENT_COLORS = { pyro:'#ef7a35', hydro:'#4cc2f1', electro:'#b08fc2', cryo:'#9fd6e3', dendro:'#a5c83b', anemo:'#74c2a8', geo:'#f0b232' };
+const RARITY_COLORS  = { 3:'#5aa2e8', 4:'#a57ee0', 5:'#e6a23c' };
+function fallbackImage(label, color = '#4fd1c5'){
+  const words = String(label || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const text = !words.length ? '?' : /[가-힣]/.test(words[0]) ? Array.from(words[0])[0]
+    : [...new Set([words[0], words[words.length - 1]])].map(w => Array.from(w)[0]).join('').toUpperCase();
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect width="64" height="64" rx="12" fill="${color}" fill-opacity=".25"/>` +
+    `<text x="32" y="41" font-size="24" font-weight="700" text-anchor="middle" font-family="sans-serif" fill="${color}">${text}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+// Portrait fallback tinted by element (characters) or rarity (weapons)
+function portraitFallback(entry){
+  const element = String(entry.element || '').toLowerCase();
+  return fallbackImage(entry.name, entry.kind === 'weapon' ? RARITY_COLORS[entry.rarity] : ELEMENT_COLORS[ELEMENT_ALIAS[element] || element]);
+}
 
 async function fetchJSON(url){
   const res = await fetch(url);
@@ -22,88 +46,59 @@ async function fetchJSON(url){
 // 1) external data sources
 const CHARACTERS_URL = 'characters.json';
 const BOOK_COST_URL  = 'book_cost.json';
+const WEAPONS_URL    = 'weapons.json';
 let CHARACTERS = [];   // normalized characters
-let TALENT_COSTS = []; // steps: [{from,to,book_low,book_mid,book_high,mora,crown}]
+let WEAPONS    = [];   // normalized weapons (kind:'weapon')
 
 // ------------------------------
-// 2) Day/Region normalization & series mapping
-const DAY_ALIAS = { mon:'mon', monday:'mon', m:'mon',
-                    tue:'tue', tuesday:'tue', t:'tue',
-                    wed:'wed', wednesday:'wed', wen:'wed', w:'wed',
-                    thu:'thu', thursday:'thu', th:'thu',
-                    fri:'fri', friday:'fri', f:'fri',
-                    sat:'sat', saturday:'sat', s:'sat',
-                    sun:'sun', sunday:'sun' };
-const REGION_ALIAS = { mond:'mond', mondstadt:'mond',
-                       liyue:'liyue',
-                       inazma:'inazuma', inazuma:'inazuma',
-                       sumeru:'sumeru',
-                       fontaine:'fontaine',
-                       natlan:'natlan' };
-
-// Region × Day → Series key + label
-const TALENT_BOOKS = {
-  mond: {
-    mon: { key:'freedom',    name_kr:'자유' },
-    tue: { key:'resistance', name_kr:'투쟁' },
-    wed: { key:'ballad',     name_kr:'시' }
-  },
-  liyue: {
-    mon: { key:'prosperity', name_kr:'번영' },
-    tue: { key:'diligence',  name_kr:'근면' },
-    wed: { key:'gold',       name_kr:'황금' }
-  },
-  inazuma: {
-    mon: { key:'transience', name_kr:'부세' },
-    tue: { key:'elegance',   name_kr:'풍아' },
-    wed: { key:'light',      name_kr:'천광' }
-  },
-  sumeru: {
-    mon: { key:'admonition', name_kr:'훈계' },
-    tue: { key:'ingenuity',  name_kr:'창의' },
-    wed: { key:'praxis',     name_kr:'실천' }
-  },
-  fontaine: {
-    mon: { key:'equity',     name_kr:'공정' },
-    tue: { key:'judgment',   name_kr:'심판' },
-    wed: { key:'order',      name_kr:'질서' }
-  },
-  natlan: {
-    mon: { key:'conflict',   name_kr:'(예시1)' },
-    tue: { key:'war',        name_kr:'(예시2)' },
-    wed: { key:'rule',       name_kr:'(예시3)' }
-  }
-};
+// 2) State & DOM
+const appState = { list: [], plans: {}, activePlan: '', scenarios: {}, inventory: emptyInventory(), history: [], settings: defaultSettings() };
 
-// Icon path rules
-const IMAGE_SERIES       = (region, seriesKey) => `images/books/${region}_${seriesKey}.png`;
-const IMAGE_SERIES_TIER  = (region, seriesKey, tierKey) => `images/books/${region}_${seriesKey}_${tierKey}.png`;
-const ICON_MORA          = 'images/icons/mora.png';
-const ICON_XP            = 'images/icons/xp.png';
-const ICON_HEROWIT       = ['images/icons/herowit.png','images/icons/hero_wit.png','images/icons/exp_book_purple.png','images/icons/exp_book.png'];
-const ICON_CROWN         = 'images/icons/crown.png';
+function defaultSettings(){
+  return { lang: detectLanguage(), server:'asia', scheduleView:'today', resin:{ natural:180, fragile:0, condensed:0 },
+    cardSort:'added', cardGroup:'', historyView:'week' };
+}
 
-// ------------------------------
-// 3) Level cost (segment totals)
-const LEVEL_COSTS = [
-  { from_level:1,  to_level:20, total_xp:120175,  total_mora: 28000,  hero_wit:  7 },
-  { from_level:20, to_level:40, total_xp:578325,  total_mora:112000,  hero_wit: 28 },
-  { from_level:40, to_level:50, total_xp:573100,  total_mora:116000,  hero_wit: 29 },
-  { from_level:50, to_level:60, total_xp:859525,  total_mora:172000,  hero_wit: 43 },
-  { from_level:60, to_level:70, total_xp:1196525, total_mora:240000,  hero_wit: 60 },
-  { from_level:70, to_level:80, total_xp:1611875, total_mora:320000,  hero_wit: 80 },
-  { from_level:80, to_level:90, total_xp:3423125, total_mora:688000,  hero_wit:172 },
-];
-const LEVEL_ANCHORS = [1,20,40,50,60,70,80,90];
+// Owned materials; books keyed by series key → { low, mid, high }
+function emptyInventory(){ return { mora:0, hero:0, crown:0, books:{} }; }
 
-// ------------------------------
-// 4) State & DOM
-const appState = { list: [] };
+// Roster items: characters, or weapons (kind:'weapon', level goal only; the same weapon may appear twice)
+let uidSeq = 0;
+const newUid = id => `${id}-${Date.now()}-${++uidSeq}`;
+const isWeapon = it => it && it.kind === 'weapon';
+const catalogOf = kind => kind === 'weapon' ? WEAPONS : CHARACTERS;
+
+function createItem(found, goal = {}, uid = newUid(found.id)){
+  if (isWeapon(found)) return createWeaponItem(found, goal, uid);
+  return { uid, id:found.id, name:found.name, element:found.element, weapon:found.weapon, image:found.image,
+    ...checkGoal({ ...DEFAULT_GOAL, ...goal }).goal,
+    talent_book: found.talent_book, talent_books: found.talent_books, boosts: found.boosts, region: found.region, levelGroup: found.levelGroup,
+    materials: found.materials };
+}
+
+function createWeaponItem(found, goal = {}, uid = newUid(found.id)){
+  return { uid, kind:'weapon', id:found.id, name:found.name, image:found.image, type:found.type, rarity:found.rarity,
+    ...DEFAULT_WEAPON_GOAL, ...goal,
+    domain: found.domain, region: found.region, materials: found.materials };
+}
 
 const dl       = $('#char-list');
 const search   = $('#search');
 const btnAdd   = $('#btn-add');
 const btnClear = $('#btn-clear');
+const planSel  = $('#plan-select');
+const btnPlanNew    = $('#btn-plan-new');
+const btnPlanRename = $('#btn-plan-rename');
+const btnPlanDelete = $('#btn-plan-delete');
+const btnExport     = $('#btn-export');
+const btnImport     = $('#btn-import');
+const btnShare      = $('#btn-share');
+const importFile    = $('#import-file');
+const langSel       = $('#lang-select');
+const pickerBox     = $('#picker-results');
+const btnPickAdd    = $('#btn-pick-add');
+const cardSortSel   = $('#card-sort');
+const cardGroupSel  = $('#card-group');
 const cards    = $('#cards');
 const empty    = $('#empty');
 
@@ -112,142 +107,233 @@ const sumExpEl   = $('#sum-exp');
 const sumBooksEl = $('#sum-talent-books');
 
 // ------------------------------
-// 5) Data load & normalize
+// 3) Data load & normalize
 async function loadData(){
-  const [rawChars, bookCost] = await Promise.all([
+  const [rawChars, bookCost, rawWeapons] = await Promise.all([
     fetchJSON(CHARACTERS_URL),
-    fetchJSON(BOOK_COST_URL)
+    fetchJSON(BOOK_COST_URL),
+    fetchJSON(WEAPONS_URL)
   ]);
+  CHARACTERS   = rawChars.map(normalizeCharacter);
+  WEAPONS      = rawWeapons.map(normalizeWeapon);
+  TALENT_COSTS = normalizeTalentCosts(bookCost);
+}
 
-  // Normalize characters + attach series info
-  CHARACTERS = rawChars.map(c => {
-    const regionRaw = (c.region||'').toString().trim().toLowerCase();
-    const dayRaw    = (c.day||'').toString().trim().toLowerCase();
-    const region    = REGION_ALIAS[regionRaw] || regionRaw || '';
-    const day       = DAY_ALIAS[dayRaw] || dayRaw || '';
-
-    let book = null;
-    if (region && day && TALENT_BOOKS[region] && TALENT_BOOKS[region][day]){
-      const { key, name_kr } = TALENT_BOOKS[region][day];
-      book = {
-        key,
-        name_kr,
-        image: IMAGE_SERIES(region, key),
-        tiers: {
-          low:  { key: 'teachings',    label_kr:'가르침',       image: IMAGE_SERIES_TIER(region, key, 'teachings') },
-          mid:  { key: 'guide',        label_kr:'인도',         image: IMAGE_SERIES_TIER(region, key, 'guide') },
-          high: { key: 'philosophies', label_kr:'철학',         image: IMAGE_SERIES_TIER(region, key, 'philosophies') }
-        }
-      };
-    }
+// ------------------------------
+// 4) UI helpers
+function initDatalist(){
+  dl.innerHTML = [...CHARACTERS, ...WEAPONS].map(c => `<option value="${c.name}"></option>`).join('');
+}
+function fillLevelSelect(sel){ sel.innerHTML = LEVEL_OPTIONS.map(l=>`<option value="${l}">${levelLabel(l)}</option>`).join(''); }
+function fillWeaponLevelSelect(sel){ sel.innerHTML = WEAPON_LEVEL_OPTIONS.map(l=>`<option value="${l}">${levelLabel(l)}</option>`).join(''); }
+// Talent options are displayed levels: base 1~10 shifted by the constellation bonus (C3 / C5 → 4~13)
+function fillTalentSelect(sel, bonus = 0){ sel.innerHTML = Array.from({length:TALENT_MAX}, (_,i)=>i+1+bonus).map(l=>`<option value="${l}">${l}</option>`).join(''); }
+function fillConstellationSelect(sel){ sel.innerHTML = Array.from({length:CONSTELLATION_MAX+1}, (_,i)=>i).map(n=>`<option value="${n}">C${n}</option>`).join(''); }
 
-    return {
-      id: c.id,
-      name: (c.name_kr && c.name_kr.trim()) ? c.name_kr : c.name_en,
-      name_en: c.name_en || '',
-      element: c.element || '',
-      weapon:  c.weapon  || '',
-      image:   c.image   || 'images/placeholder.png',
-      region, day,
-      talent_book: book
-    };
-  });
+// ------------------------------
+// 4-1) Language (string catalog: i18n.js)
+const localName  = c => (LANG === 'en' ? (c.name_en || c.name_kr) : (c.name_kr || c.name_en)) || c.id;
+const bookName   = b => (LANG === 'en' ? b.name_en : b.name_kr) || b.key;   // talent_book / TALENT_BOOKS entry
+const seriesName = st => (LANG === 'en' ? st.nameEn : st.nameKr) || st.key; // seriesTotals entry
+const regionName = region => t(`region.${region}`);
 
-  // Talent step costs
-  TALENT_COSTS = (bookCost||[]).map(r => ({
-    from: +r.from, to: +r.to,
-    book_low: +(r.book_low||0), book_mid: +(r.book_mid||0), book_high: +(r.book_high||0),
-    mora: +(r.mora||0), crown: +(r.crown||0)
-  }));
+// data-i18n → textContent, data-i18n-placeholder / data-i18n-title → attributes
+function translateStatic(root = document){
+  $$('[data-i18n]', root).forEach(el => { el.textContent = t(el.dataset.i18n); });
+  $$('[data-i18n-placeholder]', root).forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+  $$('[data-i18n-title]', root).forEach(el => { el.title = t(el.dataset.i18nTitle); });
 }
 
-// ------------------------------
-// 6) UI helpers
-function initDatalist(){
-  dl.innerHTML = CHARACTERS.map(c => `<option value="${c.name}"></option>`).join('');
+function applyLanguage(lang){
+  appState.settings.lang = setLanguage(lang);
+  document.documentElement.lang = LANG;
+  translateStatic();
+  ['#tpl-card', '#tpl-weapon'].forEach(sel => { const tpl = $(sel); if (tpl) translateStatic(tpl.content); });
+  [...CHARACTERS, ...WEAPONS].forEach(c => { c.name = localName(c); });
+  appState.list.forEach(it => { const c = catalogOf(it.kind).find(x => x.id === it.id); if (c) it.name = c.name; });
+  if (langSel) langSel.value = LANG;
+}
+
+function initLanguageControls(){
+  if (!langSel) return;
+  langSel.innerHTML = Object.entries(LANGUAGES).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('');
+  langSel.value = LANG;
+  langSel.addEventListener('change', ()=>{
+    applyLanguage(langSel.value);
+    initDatalist();
+    fillServerSelect();
+    fillPickerControls();
+    fillScenarioControls();
+    // inventory inputs carry translated titles: rebuild, keeping the open state
+    const inv = $('.inventory-panel'); const open = !!inv?.open;
+    inv?.remove(); initInventoryPanel();
+    if (open) $('.inventory-panel').open = true;
+    render();
+  });
 }
-function fillLevelSelect(sel){ sel.innerHTML = LEVEL_ANCHORS.map(l=>`<option value="${l}">${l}</option>`).join(''); }
-function fillTalentSelect(sel){ sel.innerHTML = Array.from({length:10}, (_,i)=>i+1).map(l=>`<option value="${l}">${l}</option>`).join(''); }
 
 // ------------------------------
-// 7) Calculators
-function calcLevelCost(curr, target){
-  if (target <= curr) return { xp:0, mora:0, hero:0 };
-  const c = LEVEL_ANCHORS.includes(curr)   ? curr : LEVEL_ANCHORS.reduce((a,b)=> (b<=curr ? b : a), 1);
-  const t = LEVEL_ANCHORS.includes(target) ? target : LEVEL_ANCHORS.reduce((a,b)=> (b>=target? Math.min(a,b):a), 90);
-
-  let xp=0, mora=0, hero=0;
-  for (const row of LEVEL_COSTS){ if (row.to_level > c && row.from_level < t){ xp+=row.total_xp; mora+=row.total_mora; hero+=row.hero_wit; } }
-  return { xp, mora, hero };
-}
-
-// Use book_cost.json; ignore weekly boss etc.
-function calcTalentCost(from, to){
-  if (to <= from) return { mora:0, crown:0, books:{low:0,mid:0,high:0} };
-  let out = { mora:0, crown:0, books:{low:0,mid:0,high:0} };
-  for (const step of TALENT_COSTS){
-    if (step.from >= from && step.to <= to){
-      out.mora += step.mora||0;
-      out.crown += step.crown||0;
-      out.books.low  += step.book_low  || 0;
-      out.books.mid  += step.book_mid  || 0;
-      out.books.high += step.book_high || 0;
+// 4-2) Search picker & card order (element / weapon / region / book day)
+const FACETS = ['element', 'weapon', 'region', 'day'];
+const FACET_ORDER = {
+  element: ELEMENTS,
+  weapon:  ['sword', 'claymore', 'polearm', 'catalyst', 'bow'],
+  region:  Object.keys(TALENT_BOOKS),
+  day:     ['mon', 'tue', 'wed']
+};
+const CARD_SORTS = ['added', 'name', ...FACETS];
+
+// Values an entry is listed under (Traveler: every region / day of its books; weapons: no element, domain region / day)
+function facetValues(entry, facet){
+  const lower = v => String(v || '').toLowerCase();
+  if (facet === 'element'){ const e = lower(entry.element); return isWeapon(entry) || !e ? [] : [ELEMENT_ALIAS[e] || e]; }
+  if (facet === 'weapon') return [lower(isWeapon(entry) ? entry.type : entry.weapon)].filter(Boolean);
+  if (isWeapon(entry)) return [entry[facet]].filter(Boolean);
+  return [...new Set(characterSeries(entry).map(b => b[facet]))];
+}
+const facetLabel = (facet, value) => ({
+  element: v => t(`element.${v}`), weapon: v => t(`weaponType.${v}`), region: regionName, day: v => t(`bookday.${v}`)
+})[facet](value);
+const matchesFilters = (entry, filters) => FACETS.every(f => !filters[f] || facetValues(entry, f).includes(filters[f]));
+
+const pickerFilters = { element:'', weapon:'', region:'', day:'' };
+const picked = new Set(); // catalog entries ticked in the picker
+const PICKER_LIMIT = 60;
+const inRoster = entry => !isWeapon(entry) && appState.list.some(x => x.id === entry.id && !isWeapon(x));
+
+function fillPickerControls(){
+  $$('[data-filter]').forEach(sel => {
+    const facet = sel.dataset.filter;
+    sel.innerHTML = `<option value="">${t('filter.any', { facet: t(`filter.${facet}`) })}</option>` +
+      FACET_ORDER[facet].map(v => `<option value="${v}">${facetLabel(facet, v)}</option>`).join('');
+    sel.value = pickerFilters[facet];
+  });
+  if (cardSortSel){
+    cardSortSel.innerHTML = CARD_SORTS.map(k => `<option value="${k}">${t(`sort.${k}`)}</option>`).join('');
+    cardSortSel.value = appState.settings.cardSort;
+  }
+  if (cardGroupSel){
+    cardGroupSel.innerHTML = `<option value="">${t('cardGroup.off')}</option>` + FACETS.map(f => `<option value="${f}">${t(`filter.${f}`)}</option>`).join('');
+    cardGroupSel.value = appState.settings.cardGroup;
+  }
+}
+
+// Search box + filters → tickable result chips (nothing shown until there is a query or a filter)
+function renderPicker(){
+  if (!pickerBox) return;
+  pickerBox.innerHTML = '';
+  const query = (search.value || '').trim();
+  const pool = [...CHARACTERS, ...WEAPONS].filter(e => matchesFilters(e, pickerFilters));
+  if (!query && !FACETS.some(f => pickerFilters[f])){
+    picked.clear();
+    pickerBox.innerHTML = `<div class="char-sub">${t('picker.hint')}</div>`;
+  } else {
+    const hits = query ? searchCatalog(query, pool).map(h => h.entry) : pool;
+    for (const entry of [...picked]) if (!hits.includes(entry)) picked.delete(entry);
+    if (!hits.length) pickerBox.innerHTML = `<div class="char-sub">${t('picker.empty')}</div>`;
+    for (const entry of hits.slice(0, PICKER_LIMIT)){
+      const chip = document.createElement('label'); chip.className = 'picker-chip';
+      const box = document.createElement('input'); box.type = 'checkbox';
+      box.checked = picked.has(entry); box.disabled = inRoster(entry);
+      box.addEventListener('change', ()=>{ box.checked ? picked.add(entry) : picked.delete(entry); updatePickAdd(); });
+      const img = document.createElement('img'); img.alt = ''; applyIcon(img, entry.image, portraitFallback(entry));
+      const sub = isWeapon(entry) ? `${entry.rarity}★` : facetValues(entry, 'element').map(v => facetLabel('element', v)).join('');
+      chip.title = box.disabled ? t('add.duplicate') : '';
+      chip.append(box, img, entry.name, Object.assign(document.createElement('span'), { className:'char-sub', textContent:sub }));
+      pickerBox.appendChild(chip);
     }
+    if (hits.length > PICKER_LIMIT) pickerBox.appendChild(Object.assign(document.createElement('div'), { className:'char-sub', textContent:t('picker.more', { count:hits.length - PICKER_LIMIT }) }));
   }
-  return out;
+  updatePickAdd();
+}
+function updatePickAdd(){
+  if (!btnPickAdd) return;
+  btnPickAdd.disabled = picked.size === 0;
+  btnPickAdd.textContent = picked.size ? t('picker.addCount', { count:picked.size }) : t('picker.add');
 }
 
-function calcCharacterCost(s){
-  const lvl = calcLevelCost(s.levelCurrent, s.levelTarget);
-  const tNA = calcTalentCost(s.naCurrent,    s.naTarget);
-  const tSK = calcTalentCost(s.skillCurrent, s.skillTarget);
-  const tBR = calcTalentCost(s.burstCurrent, s.burstTarget);
+// Catalog entries → roster (characters already listed are skipped); returns how many were added
+function addToRoster(entries){
+  let added = 0;
+  for (const found of entries){
+    if (inRoster(found)) continue;
+    appState.list.push(createItem(found)); added++;
+  }
+  if (added) render();
+  return added;
+}
 
-  const books = {
-    low:  (tNA.books.low||0)  + (tSK.books.low||0)  + (tBR.books.low||0),
-    mid:  (tNA.books.mid||0)  + (tSK.books.mid||0)  + (tBR.books.mid||0),
-    high: (tNA.books.high||0) + (tSK.books.high||0) + (tBR.books.high||0)
+// Roster → card order: group (facet) first, then the sort key; ties keep the order they were added in
+function orderedItems(list, sort = appState.settings.cardSort, group = appState.settings.cardGroup){
+  const rank = (item, facet) => {
+    const v = facetValues(item, facet)[0];
+    return v == null ? Infinity : FACET_ORDER[facet].indexOf(v);
   };
-  const crown = (tNA.crown||0) + (tSK.crown||0) + (tBR.crown||0);
-
-  return { mora: lvl.mora + tNA.mora + tSK.mora + tBR.mora, xp: lvl.xp, heroBooks: lvl.hero, books, crown };
+  const byName = (a, b) => a.name.localeCompare(b.name, LANGUAGES[LANG].locale);
+  return list.map((item, i) => ({ item, i })).sort((a, b) =>
+    (group ? rank(a.item, group) - rank(b.item, group) || 0 : 0) ||
+    (sort === 'name' ? byName(a.item, b.item) : FACETS.includes(sort) ? rank(a.item, sort) - rank(b.item, sort) || 0 : 0) ||
+    a.i - b.i
+  ).map(x => x.item);
 }
 
 // ------------------------------
-// 8) Rendering
+// 5) Rendering
 function render(){
   cards.innerHTML = '';
+  cards.classList.toggle('reorderable', isPriorityView());
   if (appState.list.length === 0){ cards.appendChild(empty); empty.style.display = 'block'; }
-  else { empty.style.display = 'none'; for (const item of appState.list){ cards.appendChild(createCardNode(item)); } }
+  else {
+    empty.style.display = 'none';
+    const group = appState.settings.cardGroup;
+    let head = null;
+    for (const item of orderedItems(appState.list)){
+      if (group){
+        const value = facetValues(item, group)[0];
+        const label = value ? facetLabel(group, value) : t('cardGroup.other');
+        if (!head || head.dataset.group !== label){
+          head = document.createElement('div'); head.className = 'card-group-head'; head.dataset.group = label; head.dataset.count = 0;
+          cards.appendChild(head);
+        }
+        head.dataset.count = +head.dataset.count + 1;
+        head.textContent = `${label} · ${head.dataset.count}`;
+      }
+      cards.appendChild(isWeapon(item) ? createWeaponCardNode(item) : createCardNode(item));
+    }
+  }
+  renderPicker();
   refreshTotals();
+  saveState();
 }
 
 function createCardNode(item){
   const tpl = $('#tpl-card');
   const el  = tpl.content.firstElementChild.cloneNode(true);
-  el.dataset.id = item.id;
+  el.dataset.id = item.id; el.dataset.uid = item.uid;
 
-  const img = $('img', el); img.src = item.image; img.alt = item.name;
+  const img = $('img', el); img.alt = item.name; applyIcon(img, item.image, portraitFallback(item));
   $('[data-field="name"]', el).textContent = item.name;
 
-  // element + series badge inline
+  // element + series badge inline (Traveler: one badge per series)
   const elemSpan = $('[data-field="element"]', el);
   elemSpan.textContent = item.element || '-';
-  if (item.talent_book){
+  const series = characterSeries(item);
+  for (const book of series){
     const dot = document.createElement('span'); dot.textContent = ' · '; dot.className = 'char-sub';
-    const sIcon = document.createElement('img'); sIcon.src = item.talent_book.image; sIcon.alt = item.talent_book.name_kr;
+    const sIcon = document.createElement('img'); sIcon.alt = bookName(book); applyIcon(sIcon, book.image);
     Object.assign(sIcon.style,{width:'16px',height:'16px',borderRadius:'4px',objectFit:'cover',margin:'0 6px'});
-    const sTxt  = document.createElement('span'); sTxt.className='char-sub'; sTxt.textContent = `${item.talent_book.name_kr}`;
+    const sTxt  = document.createElement('span'); sTxt.className='char-sub'; sTxt.textContent = bookName(book);
     elemSpan.appendChild(dot); elemSpan.appendChild(sIcon); elemSpan.appendChild(sTxt);
   }
 
-  // tiny tier icons (teachings/guide/philosophies)
+  // tiny tier icons (teachings/guide/philosophies), single-series characters only
   const infoRow = el.querySelector('.character-info .name-row');
-  if (item.talent_book){
+  const selCons = $('[data-field="constellation"]', el);
+  if (item.talent_book && series.length === 1){
     const tiersWrap = document.createElement('div');
     Object.assign(tiersWrap.style,{display:'inline-flex',gap:'6px',marginLeft:'10px'});
-    ['low','mid','high'].forEach(k=>{ const t=item.talent_book.tiers[k]; const i=document.createElement('img'); i.src=t.image; i.alt=t.label_kr; i.title=t.label_kr; Object.assign(i.style,{width:'16px',height:'16px',borderRadius:'4px',objectFit:'cover'}); tiersWrap.appendChild(i); });
-    infoRow.appendChild(tiersWrap);
+    ['low','mid','high'].forEach(k=>{ const tier=item.talent_book.tiers[k]; const i=document.createElement('img'); i.alt=i.title=t(`book.${k}`, { name: bookName(item.talent_book) }); applyIcon(i, tier.image); Object.assign(i.style,{width:'16px',height:'16px',borderRadius:'4px',objectFit:'cover'}); tiersWrap.appendChild(i); });
+    infoRow.insertBefore(tiersWrap, selCons);
   }
 
   // selects
@@ -260,42 +346,269 @@ function createCardNode(item){
   const selBC =$('[data-field="talent-burst-current"]', el);
   const selBT =$('[data-field="talent-burst-target"]', el);
 
-  fillLevelSelect(selLC); fillLevelSelect(selLT);
-  fillTalentSelect(selNAC); fillTalentSelect(selNAT);
-  fillTalentSelect(selSC);  fillTalentSelect(selST);
-  fillTalentSelect(selBC);  fillTalentSelect(selBT);
+  const talentSels = { na:[selNAC, selNAT], skill:[selSC, selST], burst:[selBC, selBT] };
 
+  fillLevelSelect(selLC); fillLevelSelect(selLT);
+  fillConstellationSelect(selCons);
   selLC.value = item.levelCurrent; selLT.value = item.levelTarget;
-  selNAC.value= item.naCurrent;    selNAT.value= item.naTarget;
-  selSC.value = item.skillCurrent; selST.value = item.skillTarget;
-  selBC.value = item.burstCurrent; selBT.value = item.burstTarget;
+  selCons.value = item.constellation;
+
+  // (re)fill talent selects for the current constellation; item keeps base levels
+  function fillTalents(){
+    for (const [talent, [cur, tgt]] of Object.entries(talentSels)){
+      const bonus = talentBonus(item, talent);
+      for (const [sel, f] of [[cur, `${talent}Current`], [tgt, `${talent}Target`]]){
+        fillTalentSelect(sel, bonus);
+        sel.value = toDisplayedTalent(item[f], bonus);
+        sel.classList.toggle('boosted', bonus > 0);
+        sel.title = bonus ? t('card.boosted', { bonus }) : '';
+      }
+    }
+  }
+  fillTalents();
 
-  const preview  = $('[data-field="preview"]', el);
   const removeBtn= $('[data-action="remove"]', el);
 
+  function updateCost(){
+    renderCharacterCost(el, item);
+    renderDoneSteps($('[data-field="done"]', el), item);
+  }
+
   function onChange(){
-    item.levelCurrent = +selLC.value;  item.levelTarget  = +selLT.value;
-    item.naCurrent    = +selNAC.value; item.naTarget     = +selNAT.value;
-    item.skillCurrent = +selSC.value;  item.skillTarget  = +selST.value;
-    item.burstCurrent = +selBC.value;  item.burstTarget  = +selBT.value;
-    preview.textContent = fmt(calcCharacterCost(item).mora);
+    item.levelCurrent = selLC.value;   item.levelTarget  = selLT.value;
+    for (const [talent, [cur, tgt]] of Object.entries(talentSels)){
+      const bonus = talentBonus(item, talent);
+      item[`${talent}Current`] = toBaseTalent(+cur.value, bonus);
+      item[`${talent}Target`]  = toBaseTalent(+tgt.value, bonus);
+    }
+    // talent targets past the level target's ascension phase pull the level target up
+    const { goal, issues } = checkGoal(item);
+    item.levelTarget = selLT.value = goal.levelTarget;
+    showGoalIssues(el, issues, item);
+    updateCost();
     refreshTotals();
+    saveState();
   }
   [selLC, selLT, selNAC, selNAT, selSC, selST, selBC, selBT].forEach(s=> s.addEventListener('change', onChange));
+  selCons.addEventListener('change', ()=>{ item.constellation = +selCons.value; fillTalents(); onChange(); });
 
   removeBtn.addEventListener('click', ()=>{ appState.list = appState.list.filter(x => x.uid !== item.uid); render(); });
 
-  preview.textContent = fmt(calcCharacterCost(item).mora);
+  showGoalIssues(el, checkGoal(item).issues, item);
+  initBreakdown(el, item);
+  initReorder(el, item);
+  updateCost();
   return el;
 }
 
+// Weapon card: type · rarity · domain series, current / target level on ascension anchors
+function createWeaponCardNode(item){
+  const el = $('#tpl-weapon').content.firstElementChild.cloneNode(true);
+  el.dataset.id = item.id; el.dataset.uid = item.uid;
+
+  const img = $('img', el); img.alt = item.name; applyIcon(img, item.image, portraitFallback(item));
+  $('[data-field="name"]', el).textContent = item.name;
+  $('[data-field="type"]', el).textContent = [item.type ? t(`weaponType.${item.type.toLowerCase()}`) : '-', `${item.rarity}★`, item.domain && matLabel(item.domain, LANG)].filter(Boolean).join(' · ');
+
+  const selLC = $('[data-field="level-current"]', el);
+  const selLT = $('[data-field="level-target"]', el);
+  fillWeaponLevelSelect(selLC); fillWeaponLevelSelect(selLT);
+  selLC.value = item.levelCurrent; selLT.value = item.levelTarget;
+
+  const preview = $('[data-field="preview"]', el);
+  const matsEl  = $('[data-field="materials"]', el);
+
+  function updateCost(){
+    const cost = calcWeaponCost(item);
+    preview.textContent = fmt(cost.mora);
+    renderCardMaterials(matsEl, weaponMaterialEntries(item, cost, LANG));
+    renderDoneSteps($('[data-field="done"]', el), item);
+  }
+
+  [selLC, selLT].forEach(s => s.addEventListener('change', ()=>{
+    item.levelCurrent = selLC.value; item.levelTarget = selLT.value;
+    showGoalIssues(el, checkWeaponGoal(item).issues, item);
+    updateCost();
+    refreshTotals();
+    saveState();
+  }));
+  $('[data-action="remove"]', el).addEventListener('click', ()=>{ appState.list = appState.list.filter(x => x.uid !== item.uid); render(); });
+
+  showGoalIssues(el, checkWeaponGoal(item).issues, item);
+  initBreakdown(el, item);
+  initReorder(el, item);
+  updateCost();
+  return el;
+}
+
+// checkGoal() issues → red (inverted / gate) or highlighted (raised) selects + one line each under the fields
+const GOAL_SELECTS = {
+  levelCurrent:'level-current', levelTarget:'level-target',
+  naCurrent:'talent-na-current', naTarget:'talent-na-target',
+  skillCurrent:'talent-skill-current', skillTarget:'talent-skill-target',
+  burstCurrent:'talent-burst-current', burstTarget:'talent-burst-target'
+};
+function goalIssueText(issue, item){
+  const field = t(`card.${issue.field}`);
+  if (issue.kind === 'raised') return t('card.raised', { field, phase:issue.phase, from:levelLabel(issue.from), to:levelLabel(issue.to) });
+  if (issue.kind === 'gate') return t('card.gate', { field, max:toDisplayedTalent(issue.max, talentBonus(item, issue.field.replace(/Current$/, ''))) });
+  return t('card.inverted', { field });
+}
+function showGoalIssues(el, issues, item){
+  const wrap = $('[data-field="issues"]', el);
+  Object.values(GOAL_SELECTS).forEach(f => { const sel = $(`[data-field="${f}"]`, el); if (sel) sel.classList.remove('invalid', 'raised'); });
+  wrap.innerHTML = '';
+  for (const issue of issues){
+    $(`[data-field="${GOAL_SELECTS[issue.field]}"]`, el).classList.add(issue.kind === 'raised' ? 'raised' : 'invalid');
+    const line = document.createElement('div');
+    line.className = issue.kind === 'raised' ? 'issue-note' : 'issue-error';
+    line.textContent = goalIssueText(issue, item);
+    wrap.appendChild(line);
+  }
+  el.classList.toggle('has-error', issues.some(i => i.kind !== 'raised'));
+}
+
+// Priority = roster order; cards can only be moved while they are shown in that order
+const isPriorityView = () => appState.settings.cardSort === 'added' && !appState.settings.cardGroup;
+function moveItem(uid, to){
+  const from = appState.list.findIndex(x => x.uid === uid);
+  if (from < 0 || to < 0 || to >= appState.list.length || to === from) return;
+  const [item] = appState.list.splice(from, 1);
+  appState.list.splice(to, 0, item);
+  render();
+}
+function initReorder(el, item){
+  const index = () => appState.list.findIndex(x => x.uid === item.uid);
+  $('[data-action="up"]', el)?.addEventListener('click', ()=> moveItem(item.uid, index() - 1));
+  $('[data-action="down"]', el)?.addEventListener('click', ()=> moveItem(item.uid, index() + 1));
+  if (!isPriorityView()) return;
+  el.draggable = true;
+  el.addEventListener('dragstart', e => { e.dataTransfer.setData('text/plain', item.uid); e.dataTransfer.effectAllowed = 'move'; });
+  el.addEventListener('dragover', e => { e.preventDefault(); el.classList.add('drag-over'); });
+  el.addEventListener('dragleave', ()=> el.classList.remove('drag-over'));
+  el.addEventListener('drop', e => { e.preventDefault(); el.classList.remove('drag-over'); moveItem(e.dataTransfer.getData('text/plain'), index()); });
+}
+
+// ✓ buttons: the next step of each track (calc nextSteps); finishing one logs it and moves the current value on
+const trackField = track => track === 'level' ? 'levelCurrent' : `${track}Current`;
+function renderDoneSteps(wrap, item){
+  wrap.innerHTML = '';
+  for (const step of Object.values(nextSteps(item))){
+    const btn = document.createElement('button');
+    btn.className = 'btn btn-ghost btn-done';
+    btn.textContent = t('done.step', { step: budgetStepLabel(step, item) });
+    btn.title = `${t('done.title')} (${t('total.mora')} ${fmt(stepSpend(item, step).mora)})`;
+    btn.addEventListener('click', ()=> completeStep(item, step));
+    wrap.appendChild(btn);
+  }
+}
+function completeStep(item, step){
+  const entry = historyEntry(item, step, new Date(), TALENT_COSTS, LANG);
+  appState.history.push(entry);
+  item[trackField(entry.track)] = step.to;
+  // same check as the card inputs: a raised level target is kept and noted on the redrawn card
+  const { goal, issues } = isWeapon(item) ? checkWeaponGoal(item) : checkGoal(item);
+  item.levelTarget = goal.levelTarget;
+  render();
+  const el = $(`#cards [data-uid="${item.uid}"]`);
+  if (el) showGoalIssues(el, issues, item);
+}
+
+// Card breakdown (<details>): filled when opened, refreshed with the totals while open
+const BREAKDOWN_PARTS = ['level', ...TALENT_KEYS];
+let rosterTotalsByKey = {};
+
+function breakdownLabel(row){
+  if (row.kind === 'mora') return t('total.mora');
+  if (row.kind === 'xp') return t('total.exp');
+  if (row.kind === 'exp') return t(`total.${row.key}`);
+  if (row.kind === 'crown') return t('total.crown');
+  if (row.kind === 'endgame') return matLabel(ENDGAME_MATERIAL, LANG);
+  if (row.kind === 'book') return t(`book.${row.tier}`, { name: bookName(row.book) });
+  if (row.kind === 'ore') return matLabel(row.ore, LANG);
+  return row.label;
+}
+
+// A level_group's shared level is costed on its first card only (calc levelGroupGoal, as in the roster totals)
+const costGoal = item => levelGroupGoal(item, levelGroupRanges(appState.list));
+
+function renderCharacterCost(el, item){
+  const goal = costGoal(item), cost = calcCharacterCost(goal);
+  $('[data-field="preview"]', el).textContent = fmt(cost.mora);
+  renderCardMaterials($('[data-field="materials"]', el), materialEntries(item.materials, { ascension:cost.ascension, common:cost.talentCommon, weekly:cost.weekly }, LANG));
+  const owner = item.levelGroup && levelGroupRanges(appState.list)[item.levelGroup].first;
+  $('[data-field="shared"]', el).textContent = owner && owner !== item ? t('card.levelShared', { name: owner.name }) : '';
+}
+
+// The group's range (and so its first card's cost) moves with any member's goal
+function refreshGroupCosts(){
+  for (const el of $$('#cards .character-card')){
+    const item = appState.list.find(x => x.uid === el.dataset.uid);
+    if (item && item.levelGroup) renderCharacterCost(el, item);
+  }
+}
+
+function renderBreakdown(details, item){
+  const body = $('.breakdown-body', details);
+  body.innerHTML = '';
+  const parts = isWeapon(item) ? calcWeaponBreakdown(item, LANG) : calcCostBreakdown(costGoal(item), TALENT_COSTS, LANG);
+  for (const part of BREAKDOWN_PARTS.filter(p => parts[p] && parts[p].length)){
+    const box = document.createElement('div'); box.className = 'breakdown-part';
+    box.appendChild(Object.assign(document.createElement('h4'), { textContent: t(`breakdown.${part}`) }));
+    for (const row of parts[part]){
+      const label = breakdownLabel(row);
+      const total = rosterTotalsByKey[row.key] || 0;
+      const pct = total ? `${Math.round(row.value / total * 100)}%` : '-';
+      const line = document.createElement('div'); line.className = 'breakdown-row';
+      line.title = t('breakdown.share', { total: fmt(total), pct });
+      const img = document.createElement('img'); img.alt = label; applyIcon(img, row.icon);
+      line.append(img, label,
+        Object.assign(document.createElement('span'), { className:'breakdown-value', textContent: fmt(row.value) }),
+        Object.assign(document.createElement('span'), { className:'breakdown-share', textContent: pct }));
+      box.appendChild(line);
+    }
+    body.appendChild(box);
+  }
+  if (!body.children.length) body.innerHTML = `<div class="char-sub">${t('breakdown.none')}</div>`;
+}
+
+function initBreakdown(el, item){
+  const details = $('[data-field="breakdown"]', el);
+  details?.addEventListener('toggle', ()=>{ if (details.open) renderBreakdown(details, item); });
+}
+
+// Every card's share moves when any goal changes: redraw the open ones
+function refreshBreakdowns(){
+  for (const details of $$('#cards .card-breakdown[open]')){
+    const item = appState.list.find(x => x.uid === details.closest('.character-card').dataset.uid);
+    if (item) renderBreakdown(details, item);
+  }
+}
+
+// Card material strip: icon ×count chips
+function renderCardMaterials(wrap, entries){
+  if (!wrap) return;
+  wrap.innerHTML = '';
+  for (const e of entries){
+    const chip = document.createElement('span'); chip.className = 'mat-chip'; chip.title = e.label;
+    const img = document.createElement('img'); img.alt = e.label; applyIcon(img, e.icon);
+    chip.append(img, `×${fmt(e.value)}`);
+    wrap.appendChild(chip);
+  }
+}
+
 // ------------------------------
-// 9) Totals (overall + series-by-tier)
-function applyIcon(img, pathOrArray){
-  const list = Array.isArray(pathOrArray) ? pathOrArray : [pathOrArray];
+// 6) Totals (overall + series-by-tier, 보유 / 필요 + 부족분)
+// Tries each path in turn, then the generated fallback (default: initials of img.alt)
+function applyIcon(img, pathOrArray, fallback){
+  const list = (Array.isArray(pathOrArray) ? pathOrArray : [pathOrArray]).filter(Boolean);
   let i = 0;
-  img.src = list[i];
-  img.onerror = () => { i += 1; if (i < list.length) img.src = list[i]; };
+  img.onerror = () => {
+    i += 1;
+    if (i < list.length) img.src = list[i];
+    else { img.onerror = null; img.src = fallback || fallbackImage(img.alt); }
+  };
+  if (list.length) img.src = list[0]; else img.onerror();
 }
 
 function addIconToExistingRow(valueId, iconPath){
@@ -306,7 +619,7 @@ function addIconToExistingRow(valueId, iconPath){
   const label = row.firstElementChild; // left label span
   if (!label || label.querySelector('img')) return; // already has icon
   const img = document.createElement('img');
-  applyIcon(img, iconPath); img.alt = label.textContent.trim();
+  img.alt = label.textContent.trim(); applyIcon(img, iconPath);
   Object.assign(img.style,{width:'18px',height:'18px',borderRadius:'4px',objectFit:'cover',marginRight:'8px'});
   label.prepend(img);
 }
@@ -318,12 +631,13 @@ function ensureValueRow(valueId, label, iconPath){
   if (!v){
     const row = document.createElement('div'); row.className='total-row';
     const left = document.createElement('span');
-    if (iconPath){ const img=document.createElement('img'); applyIcon(img, iconPath); img.alt=label; Object.assign(img.style,{width:'18px',height:'18px',borderRadius:'4px',objectFit:'cover',marginRight:'8px'}); left.appendChild(img); }
+    const img=document.createElement('img'); img.alt=label; applyIcon(img, iconPath); Object.assign(img.style,{width:'18px',height:'18px',borderRadius:'4px',objectFit:'cover',marginRight:'8px'}); left.appendChild(img);
     left.appendChild(document.createTextNode(label));
     v = document.createElement('span'); v.className='total-value'; v.id=valueId; v.textContent='0';
     row.appendChild(left); row.appendChild(v);
-    panel.appendChild(row);
+    panel.insertBefore(row, panel.querySelector('.inventory-panel'));
   }
+  else { const text = v.previousElementSibling?.lastChild; if (text && text.nodeType === Node.TEXT_NODE) text.textContent = label; }
   return v;
 }
 
@@ -335,6 +649,17 @@ function initTotalsPanel(){
   addIconToExistingRow('sum-talent-books', ICON_HEROWIT);
 }
 
+// "보유 / 필요" + 부족분 배지(부족 없으면 ✓)
+function setTotalValue(el, required, owned, short = Math.max(0, required - owned)){
+  if (!el) return;
+  el.textContent = '';
+  const own = document.createElement('span'); own.className = 'total-owned'; own.textContent = fmt(owned);
+  const badge = document.createElement('span'); badge.className = 'total-short';
+  badge.textContent = short > 0 ? `-${fmt(short)}` : '✓';
+  badge.classList.toggle('ok', short <= 0);
+  el.append(own, ` / ${fmt(required)}`, badge);
+}
+
 function renderSeriesTotals(seriesTotals){
   const panel = document.querySelector('.total-panel');
   if (!panel) return;
@@ -347,87 +672,983 @@ function renderSeriesTotals(seriesTotals){
 
   Object.values(seriesTotals).forEach(st => {
     const rows = [
-      { label:`${st.nameKr}의 가르침`,     value: st.sums.teachings,    icon: st.icons.teachings },
-      { label:`${st.nameKr}의 인도`,       value: st.sums.guide,        icon: st.icons.guide },
-      { label:`${st.nameKr}의 철학`,       value: st.sums.philosophies, icon: st.icons.philosophies }
+      { label: t('book.low',  { name: seriesName(st) }), value: st.sums.teachings,    owned: st.owned.low,  short: st.short.low,  icon: st.icons.teachings },
+      { label: t('book.mid',  { name: seriesName(st) }), value: st.sums.guide,        owned: st.owned.mid,  short: st.short.mid,  icon: st.icons.guide },
+      { label: t('book.high', { name: seriesName(st) }), value: st.sums.philosophies, owned: st.owned.high, short: st.short.high, icon: st.icons.philosophies }
     ];
     rows.forEach(r => {
       const row = document.createElement('div');
       row.className = 'total-row';
       const left = document.createElement('span');
       const ic = document.createElement('img');
-      applyIcon(ic, r.icon); ic.alt = r.label;
+      ic.alt = r.label; applyIcon(ic, r.icon);
       Object.assign(ic.style,{width:'18px',height:'18px',borderRadius:'4px',objectFit:'cover',marginRight:'8px'});
       left.appendChild(ic);
       left.appendChild(document.createTextNode(r.label));
-      const right = document.createElement('span'); right.className='total-value'; right.textContent = fmt(r.value || 0);
+      const right = document.createElement('span'); right.className='total-value';
+      setTotalValue(right, r.value || 0, r.owned || 0, r.short);
       row.appendChild(left); row.appendChild(right);
       wrap.appendChild(row);
     });
   });
-  panel.appendChild(wrap);
+  panel.insertBefore(wrap, panel.querySelector('.inventory-panel'));
+}
+
+function createMaterialRow(e){
+  const row = document.createElement('div');
+  row.className = 'total-row';
+  const left = document.createElement('span');
+  const ic = document.createElement('img');
+  ic.alt = e.label; applyIcon(ic, e.icon);
+  Object.assign(ic.style,{width:'18px',height:'18px',borderRadius:'4px',objectFit:'cover',marginRight:'8px'});
+  left.appendChild(ic);
+  left.appendChild(document.createTextNode(e.label));
+  const right = document.createElement('span'); right.className='total-value'; right.textContent = fmt(e.value);
+  row.appendChild(left); row.appendChild(right);
+  return row;
+}
+
+function createSubhead(text){
+  const head = document.createElement('div'); head.className = 'total-subhead'; head.textContent = text;
+  return head;
+}
+
+// Same layout as renderSeriesTotals, one sub-heading per material group
+function renderMaterialTotals(matTotals){
+  const panel = document.querySelector('.total-panel');
+  if (!panel) return;
+  const old = panel.querySelector('.material-rows');
+  if (old) old.remove();
+  const wrap = document.createElement('div');
+  wrap.className = 'material-rows';
+
+  for (const g of MATERIAL_GROUPS){
+    const entries = Object.values(matTotals).filter(e => e.group === g.key);
+    if (!entries.length) continue;
+    wrap.appendChild(createSubhead(t(`group.${g.key}`)));
+    entries.forEach(e => wrap.appendChild(createMaterialRow(e)));
+  }
+
+  // 주간 보스: 보스별로 묶어서 합계 (할인 토벌 계획용)
+  const weekly = Object.values(matTotals).filter(e => e.group === 'weekly');
+  for (const [bossKey, boss] of Object.entries(WEEKLY_BOSSES)){
+    const entries = weekly.filter(e => e.boss === bossKey);
+    if (!entries.length) continue;
+    const total = entries.reduce((a, e) => a + e.value, 0);
+    wrap.appendChild(createSubhead(t('group.weekly', { name: matLabel(boss, LANG), count: fmt(total) })));
+    entries.forEach(e => wrap.appendChild(createMaterialRow(e)));
+  }
+  panel.insertBefore(wrap, panel.querySelector('.inventory-panel'));
+}
+
+// 왕관 필요량이 입력한 보유량을 넘으면 왕관 행 아래 경고 (왕관을 쓰는 캐릭터 나열)
+function renderCrownWarning(crownEl, need, own){
+  const row = crownEl && crownEl.closest('.total-row');
+  if (!row) return;
+  let box = row.nextElementSibling;
+  if (!box || !box.classList.contains('crown-warning')){
+    box = document.createElement('div'); box.className = 'crown-warning';
+    row.after(box);
+  }
+  box.hidden = need <= own;
+  if (box.hidden) return;
+  const names = appState.list.filter(it => !isWeapon(it) && calcCharacterCost(it).crown > 0).map(it => it.name);
+  box.textContent = t('crown.warning', { need: fmt(need), own: fmt(own), short: fmt(need - own), names: names.join(', ') });
 }
 
 function refreshTotals(){
-  let sum = { mora:0, xp:0, hero:0, books:{low:0, mid:0, high:0}, crown:0 };
-  const seriesTotals = {}; // key: seriesKey@@nameKr@@region
-
-  for (const it of appState.list){
-    const c = calcCharacterCost(it);
-    sum.mora += c.mora; sum.xp += c.xp; sum.hero += c.heroBooks; sum.crown += c.crown||0;
-    sum.books.low  += c.books.low  || 0; sum.books.mid += c.books.mid || 0; sum.books.high += c.books.high || 0;
-
-    if (it.talent_book){
-      const sKey = `${it.talent_book.key}@@${it.talent_book.name_kr}@@${it.region||''}`;
-      if (!seriesTotals[sKey]){
-        seriesTotals[sKey] = { key: it.talent_book.key, nameKr: it.talent_book.name_kr, region: it.region||'',
-          sums:{ teachings:0, guide:0, philosophies:0 },
-          icons:{ teachings: it.talent_book.tiers.low.image, guide: it.talent_book.tiers.mid.image, philosophies: it.talent_book.tiers.high.image }
-        };
-      }
-      seriesTotals[sKey].sums.teachings    += c.books.low  || 0;
-      seriesTotals[sKey].sums.guide        += c.books.mid  || 0;
-      seriesTotals[sKey].sums.philosophies += c.books.high || 0;
-    }
+  const totals = calcRosterTotals(appState.list, TALENT_COSTS, LANG);
+  const { sum, seriesTotals, matTotals } = totals;
+  rosterTotalsByKey = totalsByKey(totals);
+
+  // 보유량 대비 부족분 (책은 3:1 합성 반영, 합성 모라는 모라 필요량에 합산)
+  const inv = appState.inventory;
+  let craftMora = 0;
+  for (const st of Object.values(seriesTotals)){
+    st.owned = inventoryBooks(st.key);
+    const need = { low: st.sums.teachings, mid: st.sums.guide, high: st.sums.philosophies };
+    const res = calcBookShortfall(need, st.owned);
+    st.short = res.short; st.craft = res.craft;
+    craftMora += res.mora;
   }
 
   // 기존 기본 행 업데이트
-  if (sumMoraEl) sumMoraEl.textContent = fmt(sum.mora);
+  setTotalValue(sumMoraEl, sum.mora + craftMora, inv.mora);
   if (sumExpEl)  sumExpEl.textContent  = fmt(sum.xp);
-  if (sumBooksEl)sumBooksEl.textContent= fmt(sum.hero);
+  setTotalValue(sumBooksEl, sum.hero, inv.hero);
+  const advEl = ensureValueRow('sum-adventurer', t('total.adventurer'), ICON_ADVENTURER);
+  if (advEl) advEl.textContent = fmt(sum.adventurer);
+  const wanEl = ensureValueRow('sum-wanderer', t('total.wanderer'), ICON_WANDERER);
+  if (wanEl) wanEl.textContent = fmt(sum.wanderer);
+  const leftEl = ensureValueRow('sum-xp-leftover', t('total.leftover'), ICON_XP);
+  if (leftEl) leftEl.textContent = fmt(sum.xpLeftover);
+  // Lv.90 초과 재료: 필요할 때만 행 표시
+  const endEl = ensureValueRow('sum-endgame', t('total.endgame', { name: matLabel(ENDGAME_MATERIAL, LANG) }), ICON_ENDGAME);
+  if (endEl){ endEl.textContent = fmt(sum.endgame); endEl.closest('.total-row').style.display = sum.endgame ? '' : 'none'; }
+
+  // 무기 강화 광석: 무기가 있을 때만 행 표시
+  for (const ore of WEAPON_ORES){
+    const oreEl = ensureValueRow(`sum-ore-${ore.key}`, matLabel(ore, LANG), ore.icon);
+    if (oreEl){ oreEl.textContent = fmt(sum.ore[ore.key]); oreEl.closest('.total-row').style.display = sum.ore[ore.key] ? '' : 'none'; }
+  }
 
   // 왕관 행 추가/업데이트
-  const crownEl = ensureValueRow('sum-crown', '왕관', ICON_CROWN);
-  if (crownEl) crownEl.textContent = fmt(sum.crown);
+  const crownEl = ensureValueRow('sum-crown', t('total.crown'), ICON_CROWN);
+  setTotalValue(crownEl, sum.crown, inv.crown);
+  renderCrownWarning(crownEl, sum.crown, inv.crown);
 
   // 시리즈별 행 렌더
   renderSeriesTotals(seriesTotals);
+  renderMaterialTotals(matTotals);
+  renderSchedule(seriesTotals);
+  renderEstimate(sum, seriesTotals, craftMora);
+  renderBudget();
+  renderScenarios();
+  renderHistory();
+  refreshGroupCosts();
+  refreshBreakdowns();
+}
+
+// ------------------------------
+// 7) Inventory (owned materials)
+function inventoryBooks(seriesKey){
+  const b = appState.inventory.books[seriesKey] || {};
+  return { low: b.low||0, mid: b.mid||0, high: b.high||0 };
+}
+
+function sanitizeInventory(raw){
+  const inv = emptyInventory();
+  const num = v => Math.max(0, Math.floor(+v || 0));
+  if (!raw) return inv;
+  inv.mora = num(raw.mora); inv.hero = num(raw.hero); inv.crown = num(raw.crown);
+  for (const [key, b] of Object.entries(raw.books || {})){
+    inv.books[key] = { low: num(b.low), mid: num(b.mid), high: num(b.high) };
+  }
+  return inv;
+}
+
+// path: 'mora' | 'hero' | 'crown' | 'books.<seriesKey>.<low|mid|high>'
+function getInventoryValue(path){
+  const [head, key, tier] = path.split('.');
+  return head === 'books' ? inventoryBooks(key)[tier] : (appState.inventory[head] || 0);
+}
+function setInventoryValue(path, value){
+  const [head, key, tier] = path.split('.');
+  const v = Math.max(0, Math.floor(+value || 0));
+  if (head === 'books'){ appState.inventory.books[key] = { ...inventoryBooks(key), [tier]: v }; }
+  else appState.inventory[head] = v;
+}
+
+function createInventoryInput(path, icon, title){
+  const wrap = document.createElement('label'); wrap.className = 'inv-input'; wrap.title = title;
+  const img = document.createElement('img'); img.alt = title; applyIcon(img, icon);
+  const input = document.createElement('input');
+  input.type = 'number'; input.min = '0'; input.step = '1'; input.dataset.inv = path;
+  input.value = getInventoryValue(path) || '';
+  input.addEventListener('input', ()=>{ setInventoryValue(path, input.value); refreshTotals(); saveState(); });
+  wrap.append(img, input);
+  return wrap;
+}
+
+function initInventoryPanel(){
+  const panel = document.querySelector('.total-panel');
+  if (!panel || panel.querySelector('.inventory-panel')) return;
+  const box = document.createElement('details'); box.className = 'inventory-panel';
+  const summary = document.createElement('summary'); summary.textContent = t('inventory.summary');
+  box.appendChild(summary);
+
+  const base = document.createElement('div'); base.className = 'inv-row';
+  base.append(
+    createInventoryInput('mora',  ICON_MORA,    t('total.mora')),
+    createInventoryInput('hero',  ICON_HEROWIT, t('inventory.hero')),
+    createInventoryInput('crown', ICON_CROWN,   t('total.crown'))
+  );
+  box.appendChild(base);
+
+  for (const [region, days] of Object.entries(TALENT_BOOKS)){
+    for (const book of Object.values(days)){
+      const { key } = book;
+      const row = document.createElement('div'); row.className = 'inv-row';
+      const name = document.createElement('span'); name.className = 'inv-label'; name.textContent = bookName(book);
+      row.appendChild(name);
+      [['low','teachings'], ['mid','guide'], ['high','philosophies']].forEach(([tier, tierKey]) => {
+        row.appendChild(createInventoryInput(`books.${key}.${tier}`, IMAGE_SERIES_TIER(region, key, tierKey), t(`book.${tier}`, { name: bookName(book) })));
+      });
+      box.appendChild(row);
+    }
+  }
+  panel.appendChild(box);
+}
+
+// ------------------------------
+// 8) Domain schedule (오늘 / 이번 주 열리는 특성 책 비경)
+// The server day flips at 04:00 server time
+// (labels: i18n.js server.<key>)
+const SERVER_RESETS = {
+  asia:    { offset: 8 },
+  europe:  { offset: 1 },
+  america: { offset:-5 },
+  tw_hk_mo:{ offset: 8 }
+};
+const RESET_HOUR = 4;
+// getUTCDay() index (0 = Sunday) → TALENT_BOOKS day key; Sunday opens every domain
+const WEEKDAY_BOOK_DAY = ['all','mon','tue','wed','mon','tue','wed'];
+const WEEK_ORDER       = [1,2,3,4,5,6,0];
+
+function serverWeekday(now = new Date(), server = appState.settings.server){
+  const { offset } = SERVER_RESETS[server] || SERVER_RESETS.asia;
+  return new Date(now.getTime() + (offset - RESET_HOUR) * 3600e3).getUTCDay();
+}
+const isDomainOpen = (day, weekday) => WEEKDAY_BOOK_DAY[weekday] === 'all' || WEEKDAY_BOOK_DAY[weekday] === day;
+
+function describeShortfall(st){
+  const parts = ['low','mid','high']
+    .filter(tier => st.short[tier] > 0).map(tier => `${t(`tier.${tier}`)} ${fmt(st.short[tier])}`);
+  return parts.length ? t('schedule.short', { parts: parts.join(' · ') }) : t('schedule.enough');
+}
+
+function renderScheduleToday(box, planned, weekday){
+  const head = document.createElement('div'); head.className = 'schedule-day';
+  head.textContent = t('schedule.todayHead', { day: t(`weekday.${weekday}`), server: t(`server.${appState.settings.server}`) }) +
+    (WEEKDAY_BOOK_DAY[weekday] === 'all' ? t('schedule.sunday') : '');
+  box.appendChild(head);
+
+  let any = false;
+  for (const region of Object.keys(TALENT_BOOKS)){
+    const open = planned.filter(st => st.region === region && isDomainOpen(st.day, weekday));
+    if (!open.length) continue;
+    any = true;
+    const group = document.createElement('div'); group.className = 'schedule-region';
+    const title = document.createElement('div'); title.className = 'schedule-region-title'; title.textContent = t('schedule.regionTitle', { region: regionName(region) });
+    group.appendChild(title);
+    for (const st of open){
+      const row = document.createElement('div'); row.className = 'schedule-row';
+      const ic = document.createElement('img'); ic.alt = seriesName(st); applyIcon(ic, st.icons.teachings);
+      const name = document.createElement('span'); name.className = 'schedule-series'; name.textContent = seriesName(st);
+      const chars = document.createElement('span'); chars.className = 'char-sub'; chars.textContent = st.chars.join(', ');
+      const need = document.createElement('span'); need.className = 'schedule-need'; need.textContent = describeShortfall(st);
+      need.classList.toggle('ok', !Object.values(st.short).some(v => v > 0));
+      row.append(ic, name, chars, need);
+      group.appendChild(row);
+    }
+    box.appendChild(group);
+  }
+  if (!any){
+    const none = document.createElement('div'); none.className = 'char-sub';
+    none.textContent = t('schedule.none');
+    box.appendChild(none);
+  }
+}
+
+function renderScheduleWeek(box, planned, weekday){
+  const table = document.createElement('div'); table.className = 'schedule-week';
+  for (const wd of WEEK_ORDER){
+    const row = document.createElement('div'); row.className = 'schedule-week-row';
+    row.classList.toggle('today', wd === weekday);
+    const day = document.createElement('span'); day.className = 'schedule-week-day'; day.textContent = t(`weekday.${wd}`);
+    const list = document.createElement('span'); list.className = 'schedule-week-list';
+    const open = planned.filter(st => isDomainOpen(st.day, wd));
+    list.textContent = open.length
+      ? open.map(st => `${seriesName(st)}(${regionName(st.region)}) ${st.chars.join('/')}`).join(' · ')
+      : '-';
+    row.append(day, list);
+    table.appendChild(row);
+  }
+  box.appendChild(table);
+}
+
+function renderSchedule(seriesTotals){
+  const box = $('#schedule-body');
+  if (!box) return;
+  box.innerHTML = '';
+  const planned = Object.values(seriesTotals).filter(st => st.chars.length);
+  const weekday = serverWeekday();
+  if (appState.settings.scheduleView === 'week') renderScheduleWeek(box, planned, weekday);
+  else renderScheduleToday(box, planned, weekday);
+  $$('#schedule [data-view]').forEach(b => b.classList.toggle('active', b.dataset.view === appState.settings.scheduleView));
+}
+
+function fillServerSelect(){
+  const sel = $('#server-select');
+  if (!sel) return;
+  sel.innerHTML = Object.keys(SERVER_RESETS).map(k => `<option value="${k}">${t(`server.${k}`)}</option>`).join('');
+  sel.value = appState.settings.server;
+}
+
+function initScheduleControls(){
+  const sel = $('#server-select');
+  fillServerSelect();
+  if (sel){
+    sel.addEventListener('change', ()=>{ appState.settings.server = sel.value; refreshTotals(); saveState(); });
+  }
+  $$('#schedule [data-view]').forEach(b => b.addEventListener('click', ()=>{
+    appState.settings.scheduleView = b.dataset.view; refreshTotals(); saveState();
+  }));
 }
 
 // ------------------------------
-// 10) Events
+// 9) Resin / days-to-complete estimator
+// Average drops per run at world level 8 (특성 비경 IV, 꽃 지맥)
+const RESIN_PER_RUN   = 20;
+const DOMAIN_DROPS    = { low:2.2, mid:1.97, high:0.23 };
+const LEY_LINE_MORA   = 60000;
+const LEY_LINE_XP     = 120000; // ≈ 영웅의 경험 6권
+const RESIN_PER_FRAGILE   = 60;
+const RESIN_PER_CONDENSED = 40;
+const MAX_ESTIMATE_DAYS   = 3650;
+
+// Smallest run count whose expected drops (+ owned, crafted up 3:1) cover the need
+function calcDomainRuns(need, own){
+  const covered = n => {
+    const res = calcBookShortfall(need, {
+      low: own.low + n * DOMAIN_DROPS.low, mid: own.mid + n * DOMAIN_DROPS.mid, high: own.high + n * DOMAIN_DROPS.high
+    });
+    return res.short.low <= 0 && res.short.mid <= 0 && res.short.high <= 0;
+  };
+  if (covered(0)) return 0;
+  let lo = 0, hi = 1;
+  while (!covered(hi)) hi *= 2;
+  while (hi - lo > 1){ const mid = (lo + hi) >> 1; if (covered(mid)) hi = mid; else lo = mid; }
+  return hi;
+}
+
+// Walk the calendar from startWeekday: open book domains first, ley lines with what's left
+// (0 when nothing is left to farm, Infinity only when runs remain but no resin is spent)
+function simulateFarmingDays(bookRuns, leyRuns, runsPerDay, startWeekday){
+  const left = bookRuns.map(b => ({ ...b }));
+  if (!left.some(b => b.runs > 0) && leyRuns <= 0) return 0;
+  if (runsPerDay <= 0) return Infinity;
+  let ley = leyRuns, day = 0;
+  while (left.some(b => b.runs > 0) || ley > 0){
+    if (day >= MAX_ESTIMATE_DAYS) return Infinity;
+    const wd = (startWeekday + day) % 7;
+    let budget = runsPerDay;
+    for (const b of left){
+      if (!b.runs || !isDomainOpen(b.day, wd)) continue;
+      const n = Math.min(budget, b.runs); b.runs -= n; budget -= n;
+    }
+    const n = Math.min(budget, ley); ley -= n;
+    day++;
+  }
+  return day;
+}
+
+function estimateResin(sum, seriesTotals, craftMora){
+  const inv = appState.inventory;
+  const bookRuns = Object.values(seriesTotals).map(st => ({
+    key: st.key, name: seriesName(st), day: st.day,
+    runs: calcDomainRuns({ low: st.sums.teachings, mid: st.sums.guide, high: st.sums.philosophies }, st.owned)
+  })).filter(b => b.runs > 0);
+  const moraRuns = Math.ceil(Math.max(0, sum.mora + craftMora - inv.mora) / LEY_LINE_MORA);
+  const expRuns  = Math.ceil(Math.max(0, sum.xp - inv.hero * EXP_BOOKS[0].xp) / LEY_LINE_XP);
+
+  const r = appState.settings.resin;
+  const dailyResin = (+r.natural||0) + (+r.fragile||0) * RESIN_PER_FRAGILE + (+r.condensed||0) * RESIN_PER_CONDENSED;
+  const runsPerDay = Math.floor(dailyResin / RESIN_PER_RUN);
+  const bookTotal  = bookRuns.reduce((a, b) => a + b.runs, 0);
+  return {
+    bookRuns, moraRuns, expRuns, dailyResin,
+    resin: { books: bookTotal * RESIN_PER_RUN, mora: moraRuns * RESIN_PER_RUN, exp: expRuns * RESIN_PER_RUN },
+    days: simulateFarmingDays(bookRuns, moraRuns + expRuns, runsPerDay, serverWeekday())
+  };
+}
+
+function renderEstimate(sum, seriesTotals, craftMora){
+  const box = $('#estimate-body');
+  if (!box) return;
+  const est = estimateResin(sum, seriesTotals, craftMora);
+  const rows = [
+    ...est.bookRuns.map(b => [t('estimate.domain', { name: b.name }), t('estimate.runs', { runs: fmt(b.runs), resin: fmt(b.runs * RESIN_PER_RUN) })]),
+    [t('estimate.leyMora'), t('estimate.runs', { runs: fmt(est.moraRuns), resin: fmt(est.resin.mora) })],
+    [t('estimate.leyExp'),  t('estimate.runs', { runs: fmt(est.expRuns),  resin: fmt(est.resin.exp) })],
+    [t('estimate.totalResin'), fmt(est.resin.books + est.resin.mora + est.resin.exp)],
+    [t('estimate.dailyResin'), fmt(est.dailyResin)]
+  ];
+  let done = '-';
+  if (Number.isFinite(est.days)){
+    const end = new Date(Date.now() + Math.max(0, est.days - 1) * 86400e3);
+    done = est.days ? t('estimate.days', { days: fmt(est.days), date: end.toLocaleDateString(LANGUAGES[LANG].locale) }) : t('estimate.enough');
+  }
+  rows.push([t('estimate.eta'), done]);
+
+  box.innerHTML = '';
+  for (const [label, value] of rows){
+    const row = document.createElement('div'); row.className = 'total-row';
+    const l = document.createElement('span'); l.textContent = label;
+    const v = document.createElement('span'); v.className = 'total-value'; v.textContent = value;
+    row.append(l, v); box.appendChild(row);
+  }
+}
+
+function initEstimateControls(){
+  $$('#estimate [data-resin]').forEach(input => {
+    input.value = appState.settings.resin[input.dataset.resin] || 0;
+    input.addEventListener('input', ()=>{
+      appState.settings.resin = { ...appState.settings.resin, [input.dataset.resin]: Math.max(0, Math.floor(+input.value || 0)) };
+      refreshTotals(); saveState();
+    });
+  });
+}
+
+// ------------------------------
+// 9-1) Budget allocation (owned materials spent in priority order)
+function budgetStepLabel(step, item){
+  if (step.kind === 'level') return t('budget.stepLevel', { from: levelLabel(step.from), to: levelLabel(step.to) });
+  const bonus = talentBonus(item, step.talent);
+  return t('budget.stepTalent', { talent: t(`breakdown.${step.talent}`), from: step.from + bonus, to: step.to + bonus });
+}
+function budgetMaterialName(blocker){
+  if (blocker.material === 'book') return t(`book.${blocker.tier}`, { name: bookName(blocker.book) });
+  return blocker.material === 'hero' ? t('inventory.hero') : t(`total.${blocker.material}`);
+}
+
+function renderBudget(){
+  const box = $('#budget-body');
+  if (!box) return;
+  const open = new Set($$('.budget-row[open]', box).map(d => d.dataset.uid));
+  box.innerHTML = '';
+  if (!appState.list.length){ box.innerHTML = `<div class="char-sub">${t('budget.empty')}</div>`; return; }
+  const { plans, left } = allocateBudget(appState.list, appState.inventory);
+  plans.forEach((plan, i) => {
+    const item = appState.list[i];
+    const ok = plan.steps.filter(s => s.affordable).length;
+    const row = document.createElement('details'); row.className = 'budget-row';
+    row.dataset.uid = item.uid; row.open = open.has(item.uid);
+    const head = document.createElement('summary');
+    const status = !plan.blocker ? t('budget.done')
+      : isWeapon(item) ? t('budget.reachedWeapon', { level: levelLabel(plan.reached.levelCurrent) })
+      : t('budget.reached', { level: levelLabel(plan.reached.levelCurrent),
+          ...Object.fromEntries(TALENT_KEYS.map(k => [k, toDisplayedTalent(plan.reached[`${k}Current`], talentBonus(item, k))])) });
+    head.append(
+      Object.assign(document.createElement('span'), { className:'budget-name', textContent:`${i + 1}. ${item.name}` }),
+      Object.assign(document.createElement('span'), { className:'budget-status', textContent:`${status} · ${t('budget.steps', { ok, all: plan.steps.length })}` }));
+    if (plan.blocker){
+      const b = plan.blocker;
+      head.appendChild(Object.assign(document.createElement('span'), { className:'budget-blocker',
+        textContent: t('budget.blocked', { step: budgetStepLabel(b.step, item), material: budgetMaterialName(b), need: fmt(b.need), have: fmt(b.have) }) }));
+    }
+    row.appendChild(head);
+    const list = document.createElement('div'); list.className = 'budget-steps';
+    for (const step of plan.steps){
+      const chip = document.createElement('span');
+      chip.className = `budget-step ${step.affordable ? 'ok' : step.blocked ? 'blocked' : ''}`;
+      chip.textContent = budgetStepLabel(step, item);
+      chip.title = step.affordable ? fmt(step.mora) : '';
+      list.appendChild(chip);
+    }
+    row.appendChild(list);
+    box.appendChild(row);
+  });
+  box.appendChild(Object.assign(document.createElement('div'), { className:'char-sub budget-left',
+    textContent: t('budget.left', { mora: fmt(left.mora), hero: fmt(left.hero), crown: fmt(left.crown) }) }));
+}
+
+// ------------------------------
+// 9-2) Scenario comparison (calc compareScenarios; scenarios are kept per plan, by card uid)
+const SCENARIO_BOOK_TIER = { teachings:'low', guide:'mid', philosophies:'high' };
+const planScenarios = () => appState.scenarios[appState.activePlan] || (appState.scenarios[appState.activePlan] = []);
+const scenarioName  = sc => sc.talent ? t('scenario.talent', { n: sc.talent }) : sc.name;
+
+function scenarioRowLabel(row){
+  if (row.kind === 'book') return t(`book.${SCENARIO_BOOK_TIER[row.tier]}`, { name: seriesName(row.series) });
+  return row.kind === 'hero' ? t('inventory.hero') : t(`total.${row.kind}`);
+}
+function scenarioDiff(value, base){
+  const diff = value - base;
+  return Object.assign(document.createElement('span'), { className:`scenario-diff ${diff > 0 ? 'up' : diff < 0 ? 'down' : ''}`,
+    textContent:`(${diff > 0 ? '+' : diff < 0 ? '−' : '±'}${fmt(Math.abs(diff))})` });
+}
+
+function renderScenarios(){
+  const box = $('#scenario-body');
+  if (!box) return;
+  box.innerHTML = '';
+  const scenarios = planScenarios();
+  if (!appState.list.length || !scenarios.length){ box.innerHTML = `<div class="char-sub">${t(appState.list.length ? 'scenario.empty' : 'budget.empty')}</div>`; return; }
+  const { rows } = compareScenarios(appState.list, [null, ...scenarios]);
+  const table = document.createElement('table'); table.className = 'scenario-table';
+  const head = table.createTHead().insertRow();
+  head.appendChild(document.createElement('th'));
+  head.appendChild(Object.assign(document.createElement('th'), { textContent: t('scenario.current') }));
+  scenarios.forEach(sc => {
+    const th = Object.assign(document.createElement('th'), { textContent: scenarioName(sc) });
+    const actions = document.createElement('div'); actions.className = 'scenario-actions';
+    const apply = Object.assign(document.createElement('button'), { className:'btn btn-primary', textContent:t('scenario.apply'), title:t('scenario.applyTitle') });
+    const remove = Object.assign(document.createElement('button'), { className:'btn btn-ghost', textContent:'×', title:t('scenario.remove') });
+    apply.addEventListener('click', ()=>{ appState.list = applyScenario(appState.list, sc); render(); });
+    remove.addEventListener('click', ()=>{ appState.scenarios[appState.activePlan] = scenarios.filter(x => x !== sc); renderScenarios(); saveState(); });
+    actions.append(apply, remove);
+    th.appendChild(actions);
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  for (const row of rows){
+    const tr = body.insertRow();
+    tr.appendChild(Object.assign(document.createElement('th'), { textContent: scenarioRowLabel(row) }));
+    row.values.forEach((value, i) => {
+      const td = tr.insertCell();
+      td.textContent = fmt(value);
+      if (i > 0) td.appendChild(scenarioDiff(value, row.values[0]));
+    });
+  }
+  box.appendChild(table);
+}
+
+function fillScenarioControls(){
+  const sel = $('#scenario-talent');
+  if (!sel) return;
+  const value = sel.value;
+  sel.innerHTML = SCENARIO_TALENTS.map(n => `<option value="${n}">${t('scenario.talent', { n })}</option>`).join('');
+  sel.value = value || String(SCENARIO_TALENTS[SCENARIO_TALENTS.length - 1]);
+}
+
+function addScenario(scenario){
+  const list = planScenarios();
+  if (list.some(sc => scenarioName(sc) === scenarioName(scenario))){ alert(t('scenario.exists')); return; }
+  list.push(scenario);
+  renderScenarios(); saveState();
+}
+
+// Saved scenarios → only known shapes; target values that aren't valid level tokens / talent levels are dropped
+function sanitizeTargets(set){
+  const out = {};
+  for (const f of SCENARIO_FIELDS){
+    const v = set && set[f];
+    if (f === 'levelTarget'){ const lv = parseLevel(v); if (lv) out[f] = lv.token; }
+    else if (Number.isInteger(v) && v >= 1 && v <= TALENT_MAX) out[f] = v;
+  }
+  return out;
+}
+function sanitizeScenarios(raw){
+  const out = {};
+  for (const [plan, list] of Object.entries(raw && typeof raw === 'object' ? raw : {})){
+    if (!Array.isArray(list)) continue;
+    out[plan] = list.filter(sc => sc && (SCENARIO_TALENTS.includes(sc.talent) || (typeof sc.name === 'string' && sc.targets && typeof sc.targets === 'object')))
+      .map(sc => sc.talent ? { talent: sc.talent }
+        : { name: sc.name, targets: Object.fromEntries(Object.entries(sc.targets).map(([uid, set]) => [uid, sanitizeTargets(set)])) });
+  }
+  return out;
+}
+
+// ------------------------------
+// 9-3) Progress history (finished steps, shared by all plans like the inventory)
+const HISTORY_VIEWS  = ['week', 'character'];
+const HISTORY_RECENT = 10;
+const HISTORY_CSV_COLUMNS = ['date', 'week', 'kind', 'id', 'name', 'step', 'from', 'to', 'mora', 'xp', 'hero', 'adventurer', 'wanderer',
+  'endgame', 'crown', 'ore_mystic', 'ore_fine', 'ore_basic', 'book', 'teachings', 'guide', 'philosophies', 'materials'];
+
+function historyName(e){
+  const found = catalogOf(e.kind).find(c => c.id === e.id);
+  return found ? localName(found) : e.name;
+}
+function historyStepLabel(e){
+  if (e.track === 'level') return t('budget.stepLevel', { from: levelLabel(e.from), to: levelLabel(e.to) });
+  return t('budget.stepTalent', { talent: t(`breakdown.${e.track}`), from: e.from + (e.bonus || 0), to: e.to + (e.bonus || 0) });
+}
+const historyDate = at => { const d = new Date(at); return `${localDate(d)} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`; };
+
+// One line: label, detail, Mora, books by tier, Crowns (+ an optional button)
+function historyRow(label, detail, e, button){
+  const row = document.createElement('div'); row.className = 'history-row';
+  const span = (className, textContent) => Object.assign(document.createElement('span'), { className, textContent });
+  row.append(span('history-label', label), span('char-sub', detail), span('history-mora', `${t('total.mora')} ${fmt(e.mora)}`));
+  const books = e.books || {};
+  if (books.low || books.mid || books.high) row.appendChild(span('', t('history.books', { low: fmt(books.low), mid: fmt(books.mid), high: fmt(books.high) })));
+  if (e.crown) row.appendChild(span('', `${t('total.crown')} ${fmt(e.crown)}`));
+  if (button) row.appendChild(button);
+  return row;
+}
+
+function renderHistory(){
+  const box = $('#history-body');
+  if (!box) return;
+  const view = appState.settings.historyView;
+  $$('#history [data-history]').forEach(b => b.classList.toggle('active', b.dataset.history === view));
+  const csvBtn = $('#btn-history-csv'), clearBtn = $('#btn-history-clear');
+  if (csvBtn) csvBtn.disabled = !appState.history.length;
+  if (clearBtn) clearBtn.disabled = !appState.history.length;
+  box.innerHTML = '';
+  if (!appState.history.length){ box.innerHTML = `<div class="char-sub">${t('history.empty')}</div>`; return; }
+  for (const row of summarizeHistory(appState.history, view)){
+    box.appendChild(historyRow(view === 'week' ? t('history.week', { date: row.key }) : historyName(row), t('history.steps', { n: row.steps }), row));
+  }
+  const recent = document.createElement('div'); recent.className = 'history-recent';
+  recent.appendChild(createSubhead(t('history.recent')));
+  for (const e of appState.history.slice(-HISTORY_RECENT).reverse()){
+    const undo = Object.assign(document.createElement('button'), { className:'btn btn-ghost', textContent:t('history.undo'), title:t('history.undoTitle') });
+    undo.addEventListener('click', ()=> undoHistory(e));
+    recent.appendChild(historyRow(historyName(e), `${historyStepLabel(e)} · ${historyDate(e.at)}`, e, undo));
+  }
+  box.appendChild(recent);
+}
+
+// Drops the entry; the card moves back only if nothing moved it on since
+function undoHistory(entry){
+  const item = appState.list.find(x => x.uid === entry.uid);
+  const field = trackField(entry.track);
+  if (item && String(item[field]) === String(entry.to)) item[field] = entry.from;
+  appState.history = appState.history.filter(e => e !== entry);
+  render();
+}
+
+function historyCSV(history){
+  const cell = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const rows = history.map(e => [historyDate(e.at), weekStart(e.at), e.kind, e.id, historyName(e), historyStepLabel(e), e.from, e.to,
+    e.mora, e.xp, e.hero, e.adventurer, e.wanderer, e.endgame, e.crown, e.ore?.mystic, e.ore?.fine, e.ore?.basic,
+    e.book ? bookName(e.book) : '', e.books?.low, e.books?.mid, e.books?.high,
+    (e.materials || []).map(m => `${m.label} ×${m.value}`).join('; ')]);
+  return [HISTORY_CSV_COLUMNS, ...rows].map(r => r.map(v => cell(v ?? '')).join(',')).join('\n');
+}
+
+// ------------------------------
+// 10) Persistence (localStorage) & named plans
+// Saves keep only character ids + the nine goal values (weapons: kind + two levels); names/images/books
+// are re-attached from CHARACTERS / WEAPONS on load, so edits to the JSON data never go stale.
+const STORAGE_KEY    = 'genshin-calc.planner';
+const SCHEMA_VERSION = 6;
+
+// MIGRATIONS[v] upgrades a save from version v to v+1
+const MIGRATIONS = {
+  // v2: 보유 재화(inventory) 추가 — 플랜과 무관하게 하나만 저장
+  1: save => ({ ...save, version: 2, inventory: emptyInventory() }),
+  // v3: 레벨 값이 숫자 → 돌파 표기 토큰('80' / '80+')
+  2: save => {
+    const plans = {};
+    for (const [name, list] of Object.entries(save.plans || {})){
+      plans[name] = (list || []).map(e => ({ ...e, levelCurrent: String(e.levelCurrent), levelTarget: String(e.levelTarget) }));
+    }
+    return { ...save, version: 3, plans };
+  },
+  // v4: 서버(초기화 시간대) 등 화면 설정
+  3: save => ({ ...save, version: 4, settings: defaultSettings() }),
+  // v5: 육성 기록(완료한 단계 + 쓴 재료) — inventory처럼 플랜과 무관하게 하나만 저장
+  4: save => ({ ...save, version: 5, history: [] }),
+  // v6: 시나리오(목표 세트) — 플랜 이름별
+  5: save => ({ ...save, version: 6, scenarios: {} })
+};
+
+function migrateSave(save){
+  let out = save;
+  while ((out.version||0) < SCHEMA_VERSION){
+    const step = MIGRATIONS[out.version||0];
+    if (!step) throw new Error(`No migration from save version ${out.version||0}`);
+    out = step(out);
+  }
+  return out;
+}
+
+// First visit: the default plan is named in the language the page will start in
+function emptySave(){
+  const settings = defaultSettings();
+  setLanguage(settings.lang);
+  const name = t('plan.default');
+  return { version: SCHEMA_VERSION, activePlan: name, plans: { [name]: [] }, scenarios: {}, inventory: emptyInventory(), history: [], settings };
+}
+
+function readSave(){
+  let raw = null;
+  try { raw = localStorage.getItem(STORAGE_KEY); } catch (e) { console.warn('localStorage unavailable', e); }
+  if (!raw) return emptySave();
+  try {
+    const save = JSON.parse(raw);
+    if (save && save.version > SCHEMA_VERSION) throw new Error(`Save version ${save.version} is newer than ${SCHEMA_VERSION}`);
+    const migrated = migrateSave(save);
+    if (!migrated.plans || !Object.keys(migrated.plans).length) return emptySave();
+    if (!migrated.plans[migrated.activePlan]) migrated.activePlan = Object.keys(migrated.plans)[0];
+    return migrated;
+  } catch (e) {
+    console.error('저장 데이터를 읽지 못했습니다. 새 플랜으로 시작합니다.', e);
+    return emptySave();
+  }
+}
+
+function serializeList(list){
+  return list.map(it => {
+    const entry = isWeapon(it) ? { uid: it.uid, kind: 'weapon', id: it.id } : { uid: it.uid, id: it.id };
+    (isWeapon(it) ? WEAPON_GOAL_FIELDS : GOAL_FIELDS).forEach(f => { entry[f] = it[f]; });
+    return entry;
+  });
+}
+
+// Invalid saved values fall back to the defaults field by field
+function sanitizeGoal(entry){
+  const weapon = entry.kind === 'weapon';
+  const { goal, errors } = weapon ? validateWeaponGoal(entry) : validateGoal(entry);
+  errors.forEach(e => { goal[e.field] = (weapon ? DEFAULT_WEAPON_GOAL : DEFAULT_GOAL)[e.field]; });
+  return goal;
+}
+
+// Saved entries → live roster items; unknown ids (removed from characters.json / weapons.json) are dropped
+function hydrateList(entries){
+  const out = [];
+  for (const entry of (entries||[])){
+    const found = catalogOf(entry.kind).find(c => c.id === entry.id);
+    if (!found){ console.warn(`저장된 항목 '${entry.id}'을(를) 데이터에서 찾을 수 없어 건너뜁니다.`); continue; }
+    if (!isWeapon(found) && out.some(x => x.id === found.id && !isWeapon(x))) continue;
+    out.push(createItem(found, sanitizeGoal(entry), entry.uid || undefined));
+  }
+  return out;
+}
+
+function saveState(){
+  // 데이터 로딩 실패 시(빈 CHARACTERS) 저장본을 빈 목록으로 덮어쓰지 않도록
+  if (!appState.activePlan || !CHARACTERS.length) return;
+  appState.plans[appState.activePlan] = serializeList(appState.list);
+  const save = { version: SCHEMA_VERSION, activePlan: appState.activePlan, plans: appState.plans, scenarios: appState.scenarios,
+    inventory: appState.inventory, history: appState.history, settings: appState.settings };
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(save)); } catch (e) { console.warn('저장 실패', e); }
+}
+
+function loadState(){
+  const save = readSave();
+  appState.plans = save.plans;
+  appState.activePlan = save.activePlan;
+  appState.scenarios = sanitizeScenarios(save.scenarios);
+  appState.inventory = sanitizeInventory(save.inventory);
+  appState.history = (Array.isArray(save.history) ? save.history : []).filter(e => e && e.id && e.at && HISTORY_TRACKS.includes(e.track));
+  appState.settings = { ...defaultSettings(), ...(save.settings || {}) };
+  appState.settings.resin = { ...defaultSettings().resin, ...(appState.settings.resin || {}) };
+  if (!SERVER_RESETS[appState.settings.server]) appState.settings.server = defaultSettings().server;
+  if (!LANGUAGES[appState.settings.lang]) appState.settings.lang = defaultSettings().lang;
+  if (!CARD_SORTS.includes(appState.settings.cardSort)) appState.settings.cardSort = defaultSettings().cardSort;
+  if (!FACETS.includes(appState.settings.cardGroup)) appState.settings.cardGroup = '';
+  if (!HISTORY_VIEWS.includes(appState.settings.historyView)) appState.settings.historyView = defaultSettings().historyView;
+  appState.list = hydrateList(save.plans[save.activePlan]);
+}
+
+function renderPlanSelect(){
+  if (!planSel) return;
+  planSel.innerHTML = Object.keys(appState.plans)
+    .map(name => `<option value="${name.replace(/"/g,'&quot;')}">${name.replace(/</g,'&lt;')}</option>`).join('');
+  planSel.value = appState.activePlan;
+}
+
+function switchPlan(name){
+  if (!appState.plans[name]) return;
+  saveState();
+  appState.activePlan = name;
+  appState.list = hydrateList(appState.plans[name]);
+  renderPlanSelect();
+  render();
+}
+
+function askPlanName(message, initial=''){
+  const name = (prompt(message, initial) || '').trim();
+  if (!name) return '';
+  if (appState.plans[name]){ alert(t('plan.exists')); return ''; }
+  return name;
+}
+
+function uniquePlanName(base){
+  let name = base, n = 2;
+  while (appState.plans[name]) name = `${base} (${n++})`;
+  return name;
+}
+
+// ------------------------------
+// 11) Import / export (JSON file + URL hash)
+const EXPORT_FORMAT  = 'genshin-calc/plan';
+const EXPORT_VERSION = 1;
+const HASH_KEY       = 'plan';
+
+// validateGoal() error → message
+function goalErrorText({ field, value, kind }){
+  if (kind === 'weaponLevel') return t('goal.badWeaponLevel', { field, value, levels: WEAPON_LEVEL_OPTIONS.map(levelLabel).join('/') });
+  if (kind === 'constellation') return t('goal.badConstellation', { field, value, max: CONSTELLATION_MAX });
+  return kind === 'level'
+    ? t('goal.badLevel', { field, value, max: LEVEL_MAX, caps: ASCENSION_CAPS.map(c => c + '✦').join('/') })
+    : t('goal.badTalent', { field, value });
+}
+
+// Validate raw entries against CHARACTERS / WEAPONS; all-or-nothing so a bad file never half-imports
+function validateRoster(entries){
+  const errors = [];
+  const items = [];
+  if (!Array.isArray(entries)) return { items, errors: [t('import.notArray')] };
+  entries.forEach((entry, i) => {
+    const at = t('import.item', { n: i + 1 });
+    const weapon = entry?.kind === 'weapon';
+    const found = catalogOf(entry?.kind).find(c => c.id === entry?.id);
+    if (!found){ errors.push(t(weapon ? 'import.unknownWeapon' : 'import.unknownId', { at, id: entry?.id ?? '' })); return; }
+    if (!weapon && items.some(x => x.id === found.id && !isWeapon(x))){ errors.push(t('import.duplicate', { at, name: found.name })); return; }
+    const { goal, errors: goalErrors } = weapon ? validateWeaponGoal(entry) : validateGoal(entry);
+    goalErrors.forEach(e => errors.push(`${at} (${found.name}): ${goalErrorText(e)}`));
+    items.push(createItem(found, goal));
+  });
+  return { items: errors.length ? [] : items, errors };
+}
+
+function exportPlanJSON(){
+  const data = { format: EXPORT_FORMAT, version: EXPORT_VERSION, name: appState.activePlan,
+    roster: serializeList(appState.list).map(({ uid, ...entry }) => entry) };
+  downloadFile(`${appState.activePlan || 'plan'}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Accepts an export file ({ format, roster }) or a bare roster array
+function parsePlanJSON(text){
+  let data;
+  try { data = JSON.parse(text); }
+  catch (e) { return { errors: [t('import.badJSON', { message: e.message })] }; }
+  if (Array.isArray(data)) return { name: '', roster: data, errors: [] };
+  if (!data || (data.format && data.format !== EXPORT_FORMAT)) return { errors: [t('import.badFormat')] };
+  if (data.version > EXPORT_VERSION) return { errors: [t('import.newer', { version: data.version })] };
+  return { name: data.name || '', roster: data.roster, errors: [] };
+}
+
+// Hash: #plan=<id>,<9 values>;w:<weapon id>,<2 levels>;... (&name=<plan name>)
+const HASH_WEAPON = 'w:';
+function encodePlanHash(){
+  const roster = appState.list.map(it => isWeapon(it)
+    ? [HASH_WEAPON + it.id, ...WEAPON_GOAL_FIELDS.map(f => it[f])].join(',')
+    : [it.id, ...GOAL_FIELDS.map(f => it[f])].join(',')).join(';');
+  return `#${HASH_KEY}=${roster}&name=${encodeURIComponent(appState.activePlan)}`;
+}
+
+function decodePlanHash(hash){
+  const params = new URLSearchParams(hash.replace(/^#/, '').replace(/\+/g, '%2B'));
+  const raw = params.get(HASH_KEY);
+  if (raw === null) return null;
+  const roster = raw.split(';').filter(Boolean).map(part => {
+    const [id, ...values] = part.split(',');
+    if (id.startsWith(HASH_WEAPON)){
+      const entry = { kind: 'weapon', id: id.slice(HASH_WEAPON.length) };
+      WEAPON_GOAL_FIELDS.forEach((f, i) => { entry[f] = values[i]; });
+      return entry;
+    }
+    const entry = { id };
+    GOAL_FIELDS.forEach((f, i) => { entry[f] = values[i]; });
+    return entry;
+  });
+  return { name: params.get('name') || '', roster, errors: [] };
+}
+
+// Import as a new plan (never overwrites the current one)
+function importPlan(parsed, fallbackName){
+  const { items, errors } = parsed.errors.length ? { items: [], errors: parsed.errors } : validateRoster(parsed.roster);
+  if (errors.length){
+    alert(`${t('import.failed', { count: errors.length })}\n- ${errors.slice(0, 15).join('\n- ')}${errors.length > 15 ? '\n…' : ''}`);
+    return false;
+  }
+  saveState();
+  const name = uniquePlanName(parsed.name || fallbackName);
+  appState.plans[name] = serializeList(items);
+  switchPlan(name);
+  return true;
+}
+
+function importFromHash(){
+  const parsed = decodePlanHash(location.hash || '');
+  if (!parsed) return;
+  importPlan(parsed, t('plan.shared'));
+  history.replaceState(null, '', location.pathname + location.search);
+}
+
+// ------------------------------
+// 12) Events
+// Add: ticked picker entries, else the single best search hit; several equally good hits stay in the picker to choose from
 btnAdd.addEventListener('click', ()=>{
+  if (picked.size){ btnPickAdd.click(); return; }
   const keyword = (search.value || '').trim(); if (!keyword) return;
-  const found = CHARACTERS.find(c => (c.name && c.name.toLowerCase()===keyword.toLowerCase()) || (c.name_en && c.name_en.toLowerCase()===keyword.toLowerCase()));
-  if (!found){ alert('목록에 없는 캐릭터입니다. (characters.json을 확인하세요)'); return; }
-  if (appState.list.some(x=>x.id===found.id)){ alert('이미 목록에 있는 캐릭터입니다.'); return; }
-  const uid = `${found.id}-${Date.now()}`;
-  appState.list.push({ uid, id:found.id, name:found.name, element:found.element, image:found.image,
-    levelCurrent:1, levelTarget:90, naCurrent:1, naTarget:6, skillCurrent:1, skillTarget:6, burstCurrent:1, burstTarget:6,
-    talent_book: found.talent_book, region: found.region });
-  search.value=''; render();
+  const hits = searchCatalog(keyword, [...CHARACTERS, ...WEAPONS]);
+  if (!hits.length){ alert(t('add.unknown')); return; }
+  if (hits.length > 1 && hits[1].score === hits[0].score){ renderPicker(); pickerBox?.scrollIntoView?.({ block:'nearest' }); return; }
+  const found = hits[0].entry;
+  if (inRoster(found)){ alert(t('add.duplicate')); return; }
+  search.value = '';
+  addToRoster([found]);
+});
+search.addEventListener('input', renderPicker);
+
+btnPickAdd?.addEventListener('click', ()=>{
+  const entries = [...picked]; picked.clear();
+  search.value = '';
+  if (!addToRoster(entries)) renderPicker();
+});
+$$('[data-filter]').forEach(sel => sel.addEventListener('change', ()=>{ pickerFilters[sel.dataset.filter] = sel.value; renderPicker(); }));
+cardSortSel?.addEventListener('change', ()=>{ appState.settings.cardSort = cardSortSel.value; render(); });
+cardGroupSel?.addEventListener('change', ()=>{ appState.settings.cardGroup = cardGroupSel.value; render(); });
+
+btnClear.addEventListener('click', ()=>{ if (!confirm(t('clear.confirm'))) return; appState.list = []; render(); });
+
+planSel?.addEventListener('change', ()=> switchPlan(planSel.value));
+
+btnPlanNew?.addEventListener('click', ()=>{
+  const name = askPlanName(t('plan.newPrompt')); if (!name) return;
+  saveState();
+  appState.plans[name] = [];
+  switchPlan(name);
 });
 
-btnClear.addEventListener('click', ()=>{ if (!confirm('모든 캐릭터를 삭제할까요?')) return; appState.list = []; render(); });
+btnPlanRename?.addEventListener('click', ()=>{
+  const name = askPlanName(t('plan.renamePrompt'), appState.activePlan); if (!name) return;
+  const renamed = {};
+  for (const [k, v] of Object.entries(appState.plans)) renamed[k === appState.activePlan ? name : k] = v;
+  if (appState.scenarios[appState.activePlan]){ appState.scenarios[name] = appState.scenarios[appState.activePlan]; delete appState.scenarios[appState.activePlan]; }
+  appState.plans = renamed; appState.activePlan = name;
+  renderPlanSelect(); saveState();
+});
+
+btnExport?.addEventListener('click', exportPlanJSON);
+
+$('#btn-scenario-talent')?.addEventListener('click', ()=> addScenario({ talent: +$('#scenario-talent').value }));
+$('#btn-scenario-save')?.addEventListener('click', ()=>{
+  const name = (prompt(t('scenario.namePrompt'), t('scenario.defaultName', { n: planScenarios().length + 1 })) || '').trim();
+  if (name) addScenario({ name, targets: snapshotTargets(appState.list) });
+});
+
+$$('#history [data-history]').forEach(b => b.addEventListener('click', ()=>{
+  appState.settings.historyView = b.dataset.history; renderHistory(); saveState();
+}));
+// BOM so spreadsheet apps read the Korean names as UTF-8
+$('#btn-history-csv')?.addEventListener('click', ()=> downloadFile(`history-${localDate(new Date())}.csv`, `\ufeff${historyCSV(appState.history)}`, 'text/csv'));
+$('#btn-history-clear')?.addEventListener('click', ()=>{
+  if (!confirm(t('history.clearConfirm', { n: appState.history.length }))) return;
+  appState.history = []; renderHistory(); saveState();
+});
+btnImport?.addEventListener('click', ()=> importFile?.click());
+importFile?.addEventListener('change', async ()=>{
+  const file = importFile.files[0]; if (!file) return;
+  importPlan(parsePlanJSON(await file.text()), file.name.replace(/\.json$/i, ''));
+  importFile.value = '';
+});
+btnShare?.addEventListener('click', async ()=>{
+  const url = location.href.split('#')[0] + encodePlanHash();
+  try { await navigator.clipboard.writeText(url); alert(t('share.copied')); }
+  catch { prompt(t('share.prompt'), url); }
+});
+
+btnPlanDelete?.addEventListener('click', ()=>{
+  if (!confirm(t('plan.deleteConfirm', { name: appState.activePlan }))) return;
+  delete appState.plans[appState.activePlan];
+  delete appState.scenarios[appState.activePlan];
+  if (!Object.keys(appState.plans).length) appState.plans[t('plan.default')] = [];
+  appState.activePlan = Object.keys(appState.plans)[0];
+  appState.list = hydrateList(appState.plans[appState.activePlan]);
+  renderPlanSelect(); render();
+});
 
 // ------------------------------
-// 11) Init
+// 13) Init
 async function init(){
+  // offline cache (sw.js); file:// pages and browsers without service workers just skip it
+  if ('serviceWorker' in navigator && location.protocol !== 'file:') navigator.serviceWorker.register('sw.js').catch(e => console.warn(e));
   try { await loadData(); }
-  catch (e) { console.error(e); alert('데이터 로딩 실패: 로컬 서버에서 실행 중인지 확인해주세요.'); CHARACTERS=[]; TALENT_COSTS=[]; }
+  catch (e) { console.error(e); alert(t('load.failed')); CHARACTERS=[]; WEAPONS=[]; TALENT_COSTS=[]; }
+  loadState();
+  applyLanguage(appState.settings.lang);
+  initLanguageControls();
   initDatalist();
+  fillPickerControls();
+  fillScenarioControls();
+  renderPlanSelect();
+  initInventoryPanel();
+  initScheduleControls();
+  initEstimateControls();
   render();
   initTotalsPanel();
+  importFromHash();
+  // a share link opened in a tab that already shows the page only changes the hash
+  window.addEventListener('hashchange', importFromHash);
 }
 
 document.addEventListener('DOMContentLoaded', init);
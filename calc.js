@@ -0,0 +1,1231 @@
+/* calc.js — calculation engine (no DOM; loaded before app.js, or require('./calc.js') in Node)
+ * - Day/Region → talent book series (or per-talent / per-level series for the Traveler), ascension / talent material catalogs, icon path rules
+ * - Level (per-level XP + Lv.90 → 100), ascension and talent cost tables
+ * - characters.json / book_cost.json rows → normalized calculator input
+ * - Per character and per roster (sum / series / material) costs
+ * - Weapons: weapons.json rows, enhancement ore / ascension tables by rarity, weapon domain rotation
+ * - Completed steps: next step per track, what it used up (history log entries) and per week / character sums
+ * - Scenarios: the roster against other target sets (saved card targets or talents-to-N), totals side by side
+ */
+
+let TALENT_COSTS = []; // steps: [{from,to,book_low,book_mid,book_high,mora,crown,common_low,common_mid,common_high,weekly_boss}]
+
+// ------------------------------
+// 1) Day/Region normalization & series mapping
+const DAY_ALIAS = { mon:'mon', monday:'mon', m:'mon',
+                    tue:'tue', tuesday:'tue', t:'tue',
+                    wed:'wed', wednesday:'wed', wen:'wed', w:'wed',
+                    thu:'thu', thursday:'thu', th:'thu',
+                    fri:'fri', friday:'fri', f:'fri',
+                    sat:'sat', saturday:'sat', s:'sat',
+                    sun:'sun', sunday:'sun' };
+const REGION_ALIAS = { mond:'mond', mondstadt:'mond',
+                       liyue:'liyue',
+                       inazma:'inazuma', inazuma:'inazuma',
+                       sumeru:'sumeru',
+                       fontaine:'fontaine',
+                       natlan:'natlan' };
+
+// Region × Day → Series key + label (name_en: in-game English series name)
+const TALENT_BOOKS = {
+  mond: {
+    mon: { key:'freedom',    name_en:'Freedom',    name_kr:'자유' },
+    tue: { key:'resistance', name_en:'Resistance', name_kr:'투쟁' },
+    wed: { key:'ballad',     name_en:'Ballad',     name_kr:'시' }
+  },
+  liyue: {
+    mon: { key:'prosperity', name_en:'Prosperity', name_kr:'번영' },
+    tue: { key:'diligence',  name_en:'Diligence',  name_kr:'근면' },
+    wed: { key:'gold',       name_en:'Gold',       name_kr:'황금' }
+  },
+  inazuma: {
+    mon: { key:'transience', name_en:'Transience', name_kr:'부세' },
+    tue: { key:'elegance',   name_en:'Elegance',   name_kr:'풍아' },
+    wed: { key:'light',      name_en:'Light',      name_kr:'천광' }
+  },
+  sumeru: {
+    mon: { key:'admonition', name_en:'Admonition', name_kr:'훈계' },
+    tue: { key:'ingenuity',  name_en:'Ingenuity',  name_kr:'창의' },
+    wed: { key:'praxis',     name_en:'Praxis',     name_kr:'실천' }
+  },
+  fontaine: {
+    mon: { key:'equity',     name_en:'Equity',     name_kr:'공정' },
+    tue: { key:'judgment',   name_en:'Justice',    name_kr:'심판' },
+    wed: { key:'order',      name_en:'Order',      name_kr:'질서' }
+  },
+  natlan: {
+    mon: { key:'conflict',   name_en:'Contention', name_kr:'각축' },
+    tue: { key:'war',        name_en:'Kindling',   name_kr:'불씨' },
+    wed: { key:'rule',       name_en:'Conflict',   name_kr:'분쟁' }
+  }
+};
+
+// Series key → TALENT_BOOKS entry + region/day (keys are unique across regions)
+const SERIES_BY_KEY = {};
+for (const [region, days] of Object.entries(TALENT_BOOKS)){
+  for (const [day, s] of Object.entries(days)) SERIES_BY_KEY[s.key] = { ...s, region, day };
+}
+
+// Talents leveled with books (goal fields: `${talent}Current` / `${talent}Target`)
+const TALENT_KEYS = ['na','skill','burst'];
+
+// ------------------------------
+// 1-1) Ascension material catalogs (characters.json: boss / specialty / common ids; gem / ascension_common overrides)
+const ELEMENT_ALIAS = { cyro:'cryo' };
+
+// Element → gem family (sliver → fragment → chunk → gemstone); every Traveler ascends with Brilliant Diamond (characters.json gem)
+const ASCENSION_GEMS = {
+  pyro:    { key:'agnidus_agate',         name_kr:'아그니 호박',  name_en:'Agnidus Agate' },
+  hydro:   { key:'varunada_lazurite',     name_kr:'바루나 청금석', name_en:'Varunada Lazurite' },
+  electro: { key:'vajrada_amethyst',      name_kr:'바즈라 자수정', name_en:'Vajrada Amethyst' },
+  cryo:    { key:'shivada_jade',          name_kr:'시바 옥',    name_en:'Shivada Jade' },
+  dendro:  { key:'nagadus_emerald',       name_kr:'나가 에메랄드', name_en:'Nagadus Emerald' },
+  anemo:   { key:'vayuda_turquoise',      name_kr:'바유 터키석',  name_en:'Vayuda Turquoise' },
+  geo:     { key:'prithiva_topaz',        name_kr:'프리티비 황옥', name_en:'Prithiva Topaz' },
+  diamond: { key:'brilliant_diamond',     name_kr:'빛나는 다이아몬드', name_en:'Brilliant Diamond' }
+};
+const ELEMENTS = Object.keys(ASCENSION_GEMS).filter(k => k !== 'diamond');
+const GEM_BY_KEY = Object.fromEntries(Object.values(ASCENSION_GEMS).map(g => [g.key, g]));
+const GEM_TIERS = ['sliver','fragment','chunk','gemstone'];
+const GEM_TIER_LABEL    = { sliver:'Sliver', fragment:'Fragment', chunk:'Chunk', gemstone:'Gemstone' };
+const GEM_TIER_LABEL_KR = { sliver:'조각', fragment:'파편', chunk:'덩이', gemstone:'원석' };
+
+// Normal boss drops
+const BOSS_DROPS = {
+  hurricane_seed:{ name_kr:'폭풍의 씨앗', name_en:'Hurricane Seed' }, lightning_prism:{ name_kr:'번개 프리즘', name_en:'Lightning Prism' }, basalt_pillar:{ name_kr:'현무암 기둥', name_en:'Basalt Pillar' },
+  hoarfrost_core:{ name_kr:'서리의 핵', name_en:'Hoarfrost Core' }, everflame_seed:{ name_kr:'영원한 불씨', name_en:'Everflame Seed' }, cleansing_heart:{ name_kr:'정화의 심장', name_en:'Cleansing Heart' },
+  juvenile_jade:{ name_kr:'어린 옥', name_en:'Juvenile Jade' }, crystalline_bloom:{ name_kr:'결정 꽃', name_en:'Crystalline Bloom' }, riftborn_regalia:{ name_kr:'균열의 왕관', name_en:'Riftborn Regalia' },
+  marionette_core:{ name_kr:'인형의 핵', name_en:'Marionette Core' }, perpetual_heart:{ name_kr:'영구 심장', name_en:'Perpetual Heart' }, smoldering_pearl:{ name_kr:'타오르는 진주', name_en:'Smoldering Pearl' },
+  dew_of_repudiation:{ name_kr:'거부의 이슬', name_en:'Dew of Repudiation' }, storm_beads:{ name_kr:'폭풍 구슬', name_en:'Storm Beads' }, dragonheirs_false_fin:{ name_kr:'용의 후예의 가짜 지느러미', name_en:"Dragonheir's False Fin" },
+  runic_fang:{ name_kr:'룬 송곳니', name_en:'Runic Fang' }, majestic_hooked_beak:{ name_kr:'위엄 있는 갈고리 부리', name_en:'Majestic Hooked Beak' }, thunderclap_fruitcore:{ name_kr:'뇌정 과심', name_en:'Thunderclap Fruitcore' },
+  perpetual_caliber:{ name_kr:'영구 구경', name_en:'Perpetual Caliber' }, light_guiding_tetrahedron:{ name_kr:'빛을 이끄는 사면체', name_en:'Light Guiding Tetrahedron' }, quelled_creeper:{ name_kr:'진압된 덩굴', name_en:'Quelled Creeper' },
+  pseudo_stamens:{ name_kr:'유사 수술', name_en:'Pseudo-Stamens' }, evergloom_ring:{ name_kr:'영원한 어둠의 고리', name_en:'Evergloom Ring' }, cloudseam_scale:{ name_kr:'구름 솔기 비늘', name_en:'Cloudseam Scale' },
+  emperors_resolution:{ name_kr:'황제의 결의', name_en:"Emperor's Resolution" }, tourbillon_device:{ name_kr:'투르비용 장치', name_en:'Tourbillon Device' }, fragment_of_a_golden_melody:{ name_kr:'황금 선율의 조각', name_en:'Fragment of a Golden Melody' },
+  water_that_failed_to_transcend:{ name_kr:'초월하지 못한 물', name_en:'Water That Failed To Transcend' },
+  artificed_spare_clockwork_component_coppelia:{ name_kr:'인공 태엽 부품·코펠리아', name_en:'Artificed Spare Clockwork Component — Coppelia' },
+  artificed_spare_clockwork_component_coppelius:{ name_kr:'인공 태엽 부품·코펠리우스', name_en:'Artificed Spare Clockwork Component — Coppelius' },
+  talisman_of_the_enigmatic_land:{ name_kr:'수수께끼 땅의 부적', name_en:'Talisman of the Enigmatic Land' }, mark_of_the_binding_blessing:{ name_kr:'결속 축복의 표식', name_en:'Mark of the Binding Blessing' },
+  overripe_flamegranate:{ name_kr:'너무 익은 불석류', name_en:'Overripe Flamegranate' }, gold_inscribed_secret_source_core:{ name_kr:'금빛 비문의 비원 핵', name_en:'Gold-Inscribed Secret Source Core' },
+  ensnaring_gaze:{ name_kr:'옭아매는 시선', name_en:'Ensnaring Gaze' }, sparkless_statue_core:{ name_kr:'불꽃 없는 석상 핵', name_en:'Sparkless Statue Core' }
+};
+
+// Local specialties
+const LOCAL_SPECIALTIES = {
+  // mond
+  calla_lily:{ name_kr:'칼라 백합', name_en:'Calla Lily' }, cecilia:{ name_kr:'세실리아꽃', name_en:'Cecilia' }, dandelion_seed:{ name_kr:'민들레 씨앗', name_en:'Dandelion Seed' }, philanemo_mushroom:{ name_kr:'바람버섯', name_en:'Philanemo Mushroom' },
+  small_lamp_grass:{ name_kr:'등불풀', name_en:'Small Lamp Grass' }, valberry:{ name_kr:'낙락베리', name_en:'Valberry' }, windwheel_aster:{ name_kr:'바람수레 국화', name_en:'Windwheel Aster' }, wolfhook:{ name_kr:'늑대 갈고리', name_en:'Wolfhook' },
+  // liyue
+  clearwater_jade:{ name_kr:'청수옥', name_en:'Clearwater Jade' }, cor_lapis:{ name_kr:'석백', name_en:'Cor Lapis' }, glaze_lily:{ name_kr:'유리백합', name_en:'Glaze Lily' }, jueyun_chili:{ name_kr:'절운 고추', name_en:'Jueyun Chili' },
+  noctilucous_jade:{ name_kr:'야박석', name_en:'Noctilucous Jade' }, qingxin:{ name_kr:'청심', name_en:'Qingxin' }, silk_flower:{ name_kr:'비단꽃', name_en:'Silk Flower' }, starconch:{ name_kr:'별소라', name_en:'Starconch' },
+  violetgrass:{ name_kr:'유리주머니', name_en:'Violetgrass' },
+  // inazuma
+  amakumo_fruit:{ name_kr:'천운초 열매', name_en:'Amakumo Fruit' }, crystal_marrow:{ name_kr:'수정 골수', name_en:'Crystal Marrow' }, dendrobium:{ name_kr:'혈곡', name_en:'Dendrobium' }, fluorescent_fungus:{ name_kr:'형광 버섯', name_en:'Fluorescent Fungus' },
+  naku_weed:{ name_kr:'명초', name_en:'Naku Weed' }, onikabuto:{ name_kr:'귀투충', name_en:'Onikabuto' }, sakura_bloom:{ name_kr:'벚꽃 수구', name_en:'Sakura Bloom' }, sango_pearl:{ name_kr:'산호 진주', name_en:'Sango Pearl' },
+  sea_ganoderma:{ name_kr:'바다 영지', name_en:'Sea Ganoderma' },
+  // sumeru
+  henna_berry:{ name_kr:'헤나 열매', name_en:'Henna Berry' }, kalpalata_lotus:{ name_kr:'칼파라타 연꽃', name_en:'Kalpalata Lotus' }, mourning_flower:{ name_kr:'애도의 꽃', name_en:'Mourning Flower' }, nilotpala_lotus:{ name_kr:'닐로트팔라 연꽃', name_en:'Nilotpala Lotus' },
+  padisarah:{ name_kr:'파디사라', name_en:'Padisarah' }, rukkhashava_mushrooms:{ name_kr:'루카샤바 버섯', name_en:'Rukkhashava Mushrooms' }, sand_grease_pupa:{ name_kr:'모래 기름 번데기', name_en:'Sand Grease Pupa' }, scarab:{ name_kr:'성갑충', name_en:'Scarab' },
+  trishiraite:{ name_kr:'트리시라이트', name_en:'Trishiraite' },
+  // fontaine
+  beryl_conch:{ name_kr:'녹주 소라', name_en:'Beryl Conch' }, lakelight_lily:{ name_kr:'호수빛 백합', name_en:'Lakelight Lily' }, lumidouce_bell:{ name_kr:'루미두스 방울꽃', name_en:'Lumidouce Bell' }, lumitoile:{ name_kr:'루미토일', name_en:'Lumitoile' },
+  rainbow_rose:{ name_kr:'무지개 장미', name_en:'Rainbow Rose' }, romaritime_flower:{ name_kr:'로마리타임 꽃', name_en:'Romaritime Flower' }, spring_of_the_first_dewdrop:{ name_kr:'첫 이슬의 샘', name_en:'Spring of the First Dewdrop' },
+  subdetection_unit:{ name_kr:'하위 탐지 유닛', name_en:'Subdetection Unit' },
+  // natlan
+  brilliant_chrysanthemum:{ name_kr:'빛나는 국화', name_en:'Brilliant Chrysanthemum' }, dracolite:{ name_kr:'용석', name_en:'Dracolite' }, glowing_hornshroom:{ name_kr:'발광 뿔버섯', name_en:'Glowing Hornshroom' },
+  quenepa_berry:{ name_kr:'케네파 베리', name_en:'Quenepa Berry' }, saurian_claw_succulent:{ name_kr:'용발톱 다육', name_en:'Saurian Claw Succulent' }, skysplit_gembloom:{ name_kr:'갈라진 하늘 보석꽃', name_en:'Skysplit Gembloom' },
+  sprayfeather_gill:{ name_kr:'물보라 깃털 아가미', name_en:'Sprayfeather Gill' }, withering_purpurbloom:{ name_kr:'시드는 자주꽃', name_en:'Withering Purpurbloom' }
+};
+
+// Common enemy drop families (low / mid / high)
+const COMMON_DROPS = {
+  slime:            { name_en:'Slime',                tiers:['Slime Condensate','Slime Secretions','Slime Concentrate'],
+                      name_kr:'슬라임',                  tiers_kr:['슬라임 응축액','슬라임 청','슬라임 원액'] },
+  mask:             { name_en:'Mask',                 tiers:['Damaged Mask','Stained Mask','Ominous Mask'],
+                      name_kr:'가면',                   tiers_kr:['망가진 가면','얼룩진 가면','불길한 가면'] },
+  scroll:           { name_en:'Scroll',               tiers:['Divining Scroll','Sealed Scroll','Forbidden Curse Scroll'],
+                      name_kr:'두루마리',                 tiers_kr:['점술 두루마리','봉인된 두루마리','금주 두루마리'] },
+  arrowhead:        { name_en:'Arrowhead',            tiers:['Firm Arrowhead','Sharp Arrowhead','Weathered Arrowhead'],
+                      name_kr:'화살촉',                  tiers_kr:['단단한 화살촉','날카로운 화살촉','낡은 화살촉'] },
+  fatui_insignia:   { name_en:'Fatui Insignia',       tiers:["Recruit's Insignia","Sergeant's Insignia","Lieutenant's Insignia"],
+                      name_kr:'우인단 휘장',               tiers_kr:['신병의 휘장','하사의 휘장','위관의 휘장'] },
+  hoarder_insignia: { name_en:'Treasure Hoarder Insignia', tiers:['Treasure Hoarder Insignia','Silver Raven Insignia','Golden Raven Insignia'],
+                      name_kr:'보물 사냥꾼 휘장',                 tiers_kr:['보물 사냥꾼 휘장','은까마귀 휘장','금까마귀 휘장'] },
+  nectar:           { name_en:'Nectar',               tiers:['Whopperflower Nectar','Shimmering Nectar','Energy Nectar'],
+                      name_kr:'꿀',                    tiers_kr:['흔들이꽃 꿀','반짝이는 꿀','원소 꿀'] },
+  handguard:        { name_en:'Handguard',            tiers:['Old Handguard','Kageuchi Handguard','Famed Handguard'],
+                      name_kr:'코등이',                  tiers_kr:['낡은 코등이','카게우치 코등이','명도 코등이'] },
+  spectral:         { name_en:'Spectral',             tiers:['Spectral Husk','Spectral Heart','Spectral Nucleus'],
+                      name_kr:'환령',                   tiers_kr:['환령의 껍질','환령의 심장','환령의 핵'] },
+  fungal:           { name_en:'Fungal',               tiers:['Fungal Spores','Luminescent Pollen','Crystalline Cyst Dust'],
+                      name_kr:'버섯 포자',                tiers_kr:['버섯 포자','형광 꽃가루','결정 포낭 가루'] },
+  red_satin:        { name_en:'Red Satin',            tiers:['Faded Red Satin','Trimmed Red Silk','Rich Red Brocade'],
+                      name_kr:'붉은 비단',                tiers_kr:['바랜 붉은 비단','마름질한 붉은 비단','화려한 붉은 비단'] },
+  gear:             { name_en:'Gear',                 tiers:['Meshing Gear','Mechanical Spur Gear','Artificed Dynamic Gear'],
+                      name_kr:'톱니바퀴',                 tiers_kr:['맞물린 톱니바퀴','기계 톱니바퀴','인공 동력 톱니바퀴'] },
+  pearl:            { name_en:'Transoceanic',         tiers:['Transoceanic Pearl','Transoceanic Chunk','Xenochromatic Crystal'],
+                      name_kr:'바다 건너',                tiers_kr:['바다 건너 진주','바다 건너 덩이','이색 결정'] },
+  prism:            { name_en:'Prism',                tiers:['Crystal Prism','Dismal Prism','Polarizing Prism'],
+                      name_kr:'프리즘',                  tiers_kr:['결정 프리즘','어두운 프리즘','편광 프리즘'] },
+  whistle:          { name_en:'Whistle',              tiers:["Sentry's Wooden Whistle","Warrior's Metal Whistle","Saurian-Crowned Warrior's Golden Whistle"],
+                      name_kr:'호루라기',                 tiers_kr:['보초병의 나무 호루라기','전사의 금속 호루라기','용관 전사의 황금 호루라기'] },
+  fang:             { name_en:'Fang',                 tiers:['Juvenile Fang','Seasoned Fang',"Tyrant's Fang"],
+                      name_kr:'송곳니',                  tiers_kr:['어린 송곳니','노련한 송곳니','폭군의 송곳니'] }
+};
+const COMMON_TIERS = ['low','mid','high'];
+
+// Weekly bosses → their three talent materials (characters.json: weekly_boss = material id)
+const WEEKLY_BOSSES = {
+  dvalin:    { name_en:'Stormterror Dvalin', name_kr:'드발린',     materials:['dvalins_plume','dvalins_claw','dvalins_sigh'] },
+  andrius:   { name_en:'Andrius',            name_kr:'안드리우스', materials:['tail_of_boreas','ring_of_boreas','spirit_locket_of_boreas'] },
+  childe:    { name_en:'Childe',             name_kr:'타르탈리아', materials:['tusk_of_monoceros_caeli','shard_of_a_foul_legacy','shadow_of_the_warrior'] },
+  azhdaha:   { name_en:'Azhdaha',            name_kr:'아즈다하',   materials:['dragon_lords_crown','bloodjade_branch','gilded_scale'] },
+  signora:   { name_en:'La Signora',         name_kr:'라 시뇨라',  materials:['molten_moment','hellfire_butterfly','ashen_heart'] },
+  raiden:    { name_en:'Magatsu Mitake Narukami no Mikoto', name_kr:'라이덴 쇼군', materials:['mudra_of_the_malefic_general','tears_of_the_calamitous_god','the_meaning_of_aeons'] },
+  shouki:    { name_en:'Shouki no Kami, the Prodigal', name_kr:'쇼키노카미', materials:['dakas_bell','mirror_of_mushin','puppet_strings'] },
+  apep:      { name_en:"Guardian of Apep's Oasis", name_kr:'아펩', materials:['everamber','primordial_greenbloom','worldspan_fern'] },
+  narwhal:   { name_en:'All-Devouring Narwhal', name_kr:'모든 것을 삼키는 고래', materials:['lightless_silk_string','lightless_eye_of_the_maelstrom','lightless_mass'] },
+  knave:     { name_en:'The Knave',          name_kr:'하인',       materials:['fading_candle','silken_feather','denial_and_judgment'] },
+  primal_fire:{ name_en:'Lord of Eroded Primal Fire', name_kr:'침식된 원초의 불의 군주', materials:['eroded_horn','eroded_scale_feather','eroded_sunfire'] }
+};
+const WEEKLY_MATERIALS = {
+  dvalins_plume:{ name_kr:'드발린의 깃털', name_en:"Dvalin's Plume" }, dvalins_claw:{ name_kr:'드발린의 발톱', name_en:"Dvalin's Claw" }, dvalins_sigh:{ name_kr:'드발린의 한숨', name_en:"Dvalin's Sigh" },
+  tail_of_boreas:{ name_kr:'북풍의 꼬리', name_en:'Tail of Boreas' }, ring_of_boreas:{ name_kr:'북풍의 고리', name_en:'Ring of Boreas' }, spirit_locket_of_boreas:{ name_kr:'북풍의 영혼함', name_en:'Spirit Locket of Boreas' },
+  tusk_of_monoceros_caeli:{ name_kr:'천공 일각수의 엄니', name_en:'Tusk of Monoceros Caeli' }, shard_of_a_foul_legacy:{ name_kr:'사악한 유산의 조각', name_en:'Shard of a Foul Legacy' }, shadow_of_the_warrior:{ name_kr:'무사의 그림자', name_en:'Shadow of the Warrior' },
+  dragon_lords_crown:{ name_kr:'용왕의 왕관', name_en:"Dragon Lord's Crown" }, bloodjade_branch:{ name_kr:'혈옥 가지', name_en:'Bloodjade Branch' }, gilded_scale:{ name_kr:'황금 비늘', name_en:'Gilded Scale' },
+  molten_moment:{ name_kr:'용해의 순간', name_en:'Molten Moment' }, hellfire_butterfly:{ name_kr:'지옥불 나비', name_en:'Hellfire Butterfly' }, ashen_heart:{ name_kr:'잿빛 심장', name_en:'Ashen Heart' },
+  mudra_of_the_malefic_general:{ name_kr:'흉장의 수인', name_en:'Mudra of the Malefic General' }, tears_of_the_calamitous_god:{ name_kr:'재앙신의 눈물', name_en:'Tears of the Calamitous God' }, the_meaning_of_aeons:{ name_kr:'영겁의 의미', name_en:'The Meaning of Aeons' },
+  dakas_bell:{ name_kr:'다카의 방울', name_en:"Daka's Bell" }, mirror_of_mushin:{ name_kr:'무심의 거울', name_en:'Mirror of Mushin' }, puppet_strings:{ name_kr:'꼭두각시 실', name_en:'Puppet Strings' },
+  everamber:{ name_kr:'영원의 호박', name_en:'Everamber' }, primordial_greenbloom:{ name_kr:'태초의 녹화', name_en:'Primordial Greenbloom' }, worldspan_fern:{ name_kr:'세계수 고사리', name_en:'Worldspan Fern' },
+  lightless_silk_string:{ name_kr:'빛 없는 실', name_en:'Lightless Silk String' }, lightless_eye_of_the_maelstrom:{ name_kr:'소용돌이의 빛 없는 눈', name_en:'Lightless Eye of the Maelstrom' }, lightless_mass:{ name_kr:'빛 없는 덩어리', name_en:'Lightless Mass' },
+  fading_candle:{ name_kr:'꺼져가는 촛불', name_en:'Fading Candle' }, silken_feather:{ name_kr:'비단 깃털', name_en:'Silken Feather' }, denial_and_judgment:{ name_kr:'부정과 심판', name_en:'Denial and Judgment' },
+  eroded_horn:{ name_kr:'침식된 뿔', name_en:'Eroded Horn' }, eroded_scale_feather:{ name_kr:'침식된 깃비늘', name_en:'Eroded Scale-Feather' }, eroded_sunfire:{ name_kr:'침식된 태양불', name_en:'Eroded Sunfire' }
+};
+const weeklyBossOf = materialKey => Object.keys(WEEKLY_BOSSES).find(k => WEEKLY_BOSSES[k].materials.includes(materialKey)) || null;
+
+const matLabel = (m, lang = 'ko') => (m && (lang === 'en' ? (m.name_en || m.name_kr) : (m.name_kr || m.name_en))) || '';
+const gemLabel = (gem, tier, lang = 'ko') => lang === 'en' ? `${gem.name_en} ${GEM_TIER_LABEL[tier]}` : `${matLabel(gem)} ${GEM_TIER_LABEL_KR[tier]}`;
+const tierLabel = (family, i, lang = 'ko') => (lang !== 'en' && family.tiers_kr && family.tiers_kr[i]) || family.tiers[i];
+
+// Totals sub-headings (weekly boss materials are grouped per boss instead)
+const MATERIAL_GROUPS = [
+  { key:'gem',       label:'원소 보석' },
+  { key:'boss',      label:'보스 재료' },
+  { key:'specialty', label:'지역 특산물' },
+  { key:'common',    label:'몬스터 재료' },
+  { key:'weapon',    label:'무기 돌파 재료' },
+  { key:'elite',     label:'정예 몬스터 재료' }
+];
+
+// Icon path rules
+// Only paths that ship in images/ (and so in the precache manifest); null means app.js applyIcon() draws the initials tile without a request
+const IMAGE_SERIES_TIER  = (region, seriesKey, tierKey) => `images/books/${region}_${seriesKey}_${tierKey}.png`;
+const IMAGE_SERIES       = (region, seriesKey) => IMAGE_SERIES_TIER(region, seriesKey, 'philosophies');
+const ICON_MORA          = 'images/icons/mora.png';
+const ICON_XP            = null;
+const ICON_HEROWIT       = 'images/icons/herowit.png';
+const ICON_ADVENTURER    = null;
+const ICON_WANDERER      = null;
+const ICON_CROWN         = 'images/icons/crown.png';
+const IMAGE_MATERIAL     = () => null;    // images/materials/ is not shipped
+const ICON_ENDGAME       = IMAGE_MATERIAL('masterless_stella_fortuna');
+
+// ------------------------------
+// 1-2) Weapon catalogs (weapons.json: region / day / elite / common ids)
+// Weapon ascension domains: Region × Day, same rotation as TALENT_BOOKS
+const WEAPON_DOMAINS = {
+  mond: {
+    mon: { key:'decarabian',      name_kr:'데카라비안', name_en:'Decarabian' },
+    tue: { key:'boreal_wolf',     name_kr:'북풍 늑대', name_en:'Boreal Wolf' },
+    wed: { key:'gladiator',       name_kr:'민들레 검투사', name_en:'Dandelion Gladiator' }
+  },
+  liyue: {
+    mon: { key:'guyun',           name_kr:'고운', name_en:'Guyun' },
+    tue: { key:'elixir',          name_kr:'안개 장막 선약', name_en:'Mist Veiled Elixir' },
+    wed: { key:'aerosiderite',    name_kr:'운철', name_en:'Aerosiderite' }
+  },
+  inazuma: {
+    mon: { key:'distant_sea',     name_kr:'먼 바다', name_en:'Distant Sea' },
+    tue: { key:'narukami',        name_kr:'나루카미', name_en:'Narukami' },
+    wed: { key:'mask_of_kijin',   name_kr:'귀인의 가면', name_en:'Mask' }
+  },
+  sumeru: {
+    mon: { key:'forest_dew',      name_kr:'숲의 이슬', name_en:'Forest Dew' },
+    tue: { key:'oasis_garden',    name_kr:'오아시스 정원', name_en:'Oasis Garden' },
+    wed: { key:'scorching_might', name_kr:'작열하는 위력', name_en:'Scorching Might' }
+  },
+  fontaine: {
+    mon: { key:'dewdrop',         name_kr:'성스러운 이슬', name_en:'Pure Sacred Dewdrop' },
+    tue: { key:'pristine_sea',    name_kr:'맑은 바다', name_en:'Pristine Sea' },
+    wed: { key:'ancient_chord',   name_kr:'고대 화음', name_en:'Ancient Chord' }
+  },
+  natlan: {
+    mon: { key:'sacrificial_heart', name_kr:'희생의 심장', name_en:'Sacrificial Heart' },
+    tue: { key:'night_wind',      name_kr:'밤바람', name_en:'Night-Wind' },
+    wed: { key:'delirious_decay', name_kr:'광란의 부패', name_en:'Delirious Decay' }
+  }
+};
+// Domain material tiers (2★ → 5★)
+const WEAPON_DOMAIN_TIERS = ['t2','t3','t4','t5'];
+const WEAPON_DOMAIN_TIER_LABEL = { t2:'2★', t3:'3★', t4:'4★', t5:'5★' };
+
+// Elite enemy drop families (low / mid / high)
+const ELITE_DROPS = {
+  horn:         { name_en:'Horn',              tiers:['Heavy Horn','Black Bronze Horn','Black Crystal Horn'],
+                  name_kr:'뿔',                 tiers_kr:['무거운 뿔','흑동 뿔','흑수정 뿔'] },
+  ley_line:     { name_en:'Ley Line',          tiers:['Dead Ley Line Branch','Dead Ley Line Leaves','Ley Line Sprout'],
+                  name_kr:'지맥',                tiers_kr:['마른 지맥 가지','마른 지맥 잎','지맥의 새싹'] },
+  bone_shard:   { name_en:'Bone Shard',        tiers:['Fragile Bone Shard','Sturdy Bone Shard','Fossilized Bone Shard'],
+                  name_kr:'뼈 조각',              tiers_kr:['부서지기 쉬운 뼈 조각','튼튼한 뼈 조각','화석화된 뼈 조각'] },
+  mist_grass:   { name_en:'Mist Grass',        tiers:['Mist Grass Pollen','Mist Grass','Mist Grass Wick'],
+                  name_kr:'안개꽃',               tiers_kr:['안개꽃 꽃가루','안개꽃','안개꽃 심지'] },
+  knife:        { name_en:'Sacrificial Knife', tiers:["Hunter's Sacrificial Knife","Agent's Sacrificial Knife","Inspector's Sacrificial Knife"],
+                  name_kr:'희생 비수',             tiers_kr:['사냥꾼의 희생 비수','요원의 희생 비수','감찰관의 희생 비수'] },
+  chaos_device: { name_en:'Chaos Device',      tiers:['Chaos Device','Chaos Circuit','Chaos Core'],
+                  name_kr:'혼돈 장치',             tiers_kr:['혼돈 장치','혼돈 회로','혼돈 노심'] },
+  concealed:    { name_en:'Concealed',         tiers:['Concealed Claw','Concealed Unguis','Concealed Talon'],
+                  name_kr:'은폐',                tiers_kr:['은폐의 발톱','은폐의 손톱','은폐의 갈고리발톱'] },
+  chaos_gear:   { name_en:'Chaos Gear',        tiers:['Chaos Gear','Chaos Axis','Chaos Oculus'],
+                  name_kr:'혼돈 기어',             tiers_kr:['혼돈 기어','혼돈 축','혼돈 안구'] }
+};
+
+// ------------------------------
+// 2) Level cost (per-level XP)
+// LEVEL_XP[n-1] = XP for n → n+1. Segment sums match the in-game totals
+// (1→20 120,175 · 20→40 578,325 · 40→50 573,100 · 50→60 859,525 · 60→70 1,196,525 · 70→80 1,611,875 · 80→90 3,423,125)
+const LEVEL_XP = [
+    1000,   1325,   1700,   2150,   2625,   3150,   3725,   4350,   5000,   5700, //  1 → 11
+    6450,   7225,   8050,   8925,   9825,  10750,  11725,  12725,  13775,  14875, // 11 → 21
+   16800,  18000,  19250,  20550,  21875,  23250,  24650,  26100,  27575,  29100, // 21 → 31
+   30650,  32250,  33875,  35550,  37250,  38975,  40750,  42575,  44425,  45825, // 31 → 41
+   50100,  52150,  54200,  56300,  58475,  60650,  62875,  65125,  67400,  70850, // 41 → 51
+   76900,  79475,  82075,  84750,  87475,  90225,  93050,  95900,  98825, 100850, // 51 → 61
+  108425, 111625, 114900, 118225, 121575, 125000, 128450, 131950, 135525, 136900, // 61 → 71
+  147350, 151400, 155450, 159575, 163750, 167950, 172200, 176475, 180825, 185000, // 71 → 81
+  209225, 236625, 267600, 302625, 342250, 387075, 437750, 495075, 559900,         // 81 → 90
+];
+const XP_LEVEL_MAX = LEVEL_XP.length + 1; // 90: EXP books stop here
+
+// Lv.90 → 100: each level consumes the endgame material + Mora instead of EXP
+const ENDGAME_MATERIAL = { key:'masterless_stella_fortuna', name_kr:'주인 없는 운명의 별자리', name_en:'Masterless Stella Fortuna' };
+const ENDGAME_LEVEL_COSTS = [
+  { level: 91, material:1, mora:150000 },
+  { level: 92, material:1, mora:150000 },
+  { level: 93, material:1, mora:150000 },
+  { level: 94, material:1, mora:150000 },
+  { level: 95, material:1, mora:150000 },
+  { level: 96, material:1, mora:250000 },
+  { level: 97, material:1, mora:250000 },
+  { level: 98, material:1, mora:250000 },
+  { level: 99, material:1, mora:250000 },
+  { level:100, material:1, mora:250000 },
+];
+const LEVEL_MAX = ENDGAME_LEVEL_COSTS[ENDGAME_LEVEL_COSTS.length - 1].level;
+
+// EXP books, largest first; feeding costs 1 Mora per 5 XP
+const EXP_BOOKS = [
+  { key:'hero',       xp:20000 },
+  { key:'adventurer', xp: 5000 },
+  { key:'wanderer',   xp: 1000 }
+];
+const XP_PER_MORA = 5;
+
+// Ascension phases: phase n is done at `level` (level cap → next cap)
+const ASCENSION_COSTS = [
+  { phase:1, level:20, mora: 20000, gem_sliver:1, gem_fragment:0, gem_chunk:0, gem_gemstone:0, boss: 0, specialty: 3, common_low: 3, common_mid: 0, common_high: 0 },
+  { phase:2, level:40, mora: 40000, gem_sliver:0, gem_fragment:3, gem_chunk:0, gem_gemstone:0, boss: 2, specialty:10, common_low:15, common_mid: 0, common_high: 0 },
+  { phase:3, level:50, mora: 60000, gem_sliver:0, gem_fragment:6, gem_chunk:0, gem_gemstone:0, boss: 4, specialty:20, common_low: 0, common_mid:12, common_high: 0 },
+  { phase:4, level:60, mora: 80000, gem_sliver:0, gem_fragment:0, gem_chunk:3, gem_gemstone:0, boss: 8, specialty:30, common_low: 0, common_mid:18, common_high: 0 },
+  { phase:5, level:70, mora:100000, gem_sliver:0, gem_fragment:0, gem_chunk:6, gem_gemstone:0, boss:12, specialty:45, common_low: 0, common_mid: 0, common_high:12 },
+  { phase:6, level:80, mora:120000, gem_sliver:0, gem_fragment:0, gem_chunk:0, gem_gemstone:6, boss:20, specialty:60, common_low: 0, common_mid: 0, common_high:24 },
+];
+const ASCENSION_CAPS = ASCENSION_COSTS.map(r => r.level);
+
+// Level select tokens: '80' = 80/80 (not ascended yet), '80+' = ascended (80/90, shown as 80✦)
+const LEVEL_OPTIONS = [];
+for (let l = 1; l <= LEVEL_MAX; l++){ LEVEL_OPTIONS.push(String(l)); if (ASCENSION_CAPS.includes(l)) LEVEL_OPTIONS.push(`${l}+`); }
+const levelLabel = token => String(token).replace('+', '✦');
+
+// '80' | '80+' | '80✦' | 80 → { token, level, phase } (null when invalid)
+function parseLevel(value){
+  const str = String(value ?? '').trim().replace('✦', '+');
+  if (!/^\d+\+?$/.test(str)) return null;
+  const level = parseInt(str, 10);
+  const ascended = str.endsWith('+');
+  if (level < 1 || level > LEVEL_MAX || (ascended && !ASCENSION_CAPS.includes(level))) return null;
+  const phase = ASCENSION_CAPS.filter(c => c < level).length + (ascended ? 1 : 0);
+  return { token: `${level}${ascended ? '+' : ''}`, level, phase };
+}
+
+// Talent book crafting (3 lower → 1 higher) + Mora per crafted book
+const CRAFT_RATIO = 3;
+const CRAFT_MORA  = { mid:175, high:550 };
+
+// ------------------------------
+// 2-1) Weapon cost tables (3★ ~ 5★; levels move between ascension anchors only)
+// Enhancement ores, largest first; enhancing costs 1 Mora per 10 XP
+const WEAPON_ORES = [
+  { key:'mystic', xp:10000, name_kr:'정제용 마정석', name_en:'Mystic Enhancement Ore', icon:IMAGE_MATERIAL('mystic_enhancement_ore') },
+  { key:'fine',   xp: 2000, name_kr:'정제용 정광',   name_en:'Fine Enhancement Ore',   icon:IMAGE_MATERIAL('fine_enhancement_ore') },
+  { key:'basic',  xp:  400, name_kr:'정제용 광석',   name_en:'Enhancement Ore',        icon:IMAGE_MATERIAL('enhancement_ore') }
+];
+const WEAPON_XP_PER_MORA = 10;
+// Level anchors: 1 → 20 → 40 → … → 90 (same caps as characters)
+const WEAPON_LEVEL_ANCHORS = [1, ...ASCENSION_CAPS, XP_LEVEL_MAX];
+const WEAPON_LEVEL_MAX = XP_LEVEL_MAX;
+
+// Per rarity: xp[i] = XP from anchor i to anchor i+1 (totals to Lv.90: 9,064,450 / 6,042,650 / 3,988,200)
+// ascension rows: domain [2★,3★,4★,5★], elite / common [low,mid,high]
+const WEAPON_COSTS = {
+  5: {
+    xp: [121550, 622800, 668725, 1019425, 1482975, 2047200, 3101775],
+    ascension: [
+      { phase:1, level:20, mora:10000, domain:[5,0,0,0], elite:[ 5, 0, 0], common:[ 3, 0, 0] },
+      { phase:2, level:40, mora:20000, domain:[0,5,0,0], elite:[18, 0, 0], common:[12, 0, 0] },
+      { phase:3, level:50, mora:30000, domain:[0,9,0,0], elite:[ 0, 9, 0], common:[ 0, 9, 0] },
+      { phase:4, level:60, mora:45000, domain:[0,0,5,0], elite:[ 0,18, 0], common:[ 0,14, 0] },
+      { phase:5, level:70, mora:55000, domain:[0,0,9,0], elite:[ 0, 0,14], common:[ 0, 0, 9] },
+      { phase:6, level:80, mora:65000, domain:[0,0,0,6], elite:[ 0, 0,27], common:[ 0, 0,18] }
+    ]
+  },
+  4: {
+    xp: [81000, 414950, 445825, 679650, 988575, 1364700, 2067950],
+    ascension: [
+      { phase:1, level:20, mora: 5000, domain:[3,0,0,0], elite:[ 3, 0, 0], common:[ 2, 0, 0] },
+      { phase:2, level:40, mora:15000, domain:[0,3,0,0], elite:[12, 0, 0], common:[ 8, 0, 0] },
+      { phase:3, level:50, mora:20000, domain:[0,6,0,0], elite:[ 0, 6, 0], common:[ 0, 6, 0] },
+      { phase:4, level:60, mora:30000, domain:[0,0,3,0], elite:[ 0,12, 0], common:[ 0, 9, 0] },
+      { phase:5, level:70, mora:35000, domain:[0,0,6,0], elite:[ 0, 0, 9], common:[ 0, 0, 6] },
+      { phase:6, level:80, mora:45000, domain:[0,0,0,4], elite:[ 0, 0,18], common:[ 0, 0,12] }
+    ]
+  },
+  3: {
+    xp: [53475, 274125, 294250, 448600, 652525, 900750, 1364475],
+    ascension: [
+      { phase:1, level:20, mora: 5000, domain:[2,0,0,0], elite:[ 2, 0, 0], common:[ 1, 0, 0] },
+      { phase:2, level:40, mora:10000, domain:[0,2,0,0], elite:[ 8, 0, 0], common:[ 5, 0, 0] },
+      { phase:3, level:50, mora:15000, domain:[0,4,0,0], elite:[ 0, 4, 0], common:[ 0, 4, 0] },
+      { phase:4, level:60, mora:20000, domain:[0,0,2,0], elite:[ 0, 8, 0], common:[ 0, 6, 0] },
+      { phase:5, level:70, mora:25000, domain:[0,0,4,0], elite:[ 0, 0, 6], common:[ 0, 0, 4] },
+      { phase:6, level:80, mora:30000, domain:[0,0,0,3], elite:[ 0, 0,12], common:[ 0, 0, 8] }
+    ]
+  }
+};
+const WEAPON_RARITIES = Object.keys(WEAPON_COSTS).map(Number);
+
+// Weapon level select tokens: anchors only ('20' / '20+' … '80+' / '90'); WEAPON_COSTS xp is per anchor segment,
+// so levels in between would need the per-level weapon EXP table
+const WEAPON_LEVEL_OPTIONS = WEAPON_LEVEL_ANCHORS.flatMap(l => ASCENSION_CAPS.includes(l) ? [String(l), `${l}+`] : [String(l)]);
+
+// ------------------------------
+// 3) Normalize raw JSON rows (characters.json / book_cost.json / roster goals)
+// Per-character goal fields (the card <select> values; talents are stored as base levels 1~10)
+const GOAL_FIELDS  = ['levelCurrent','levelTarget','naCurrent','naTarget','skillCurrent','skillTarget','burstCurrent','burstTarget','constellation'];
+const DEFAULT_GOAL = { levelCurrent:'1', levelTarget:'90', naCurrent:1, naTarget:6, skillCurrent:1, skillTarget:6, burstCurrent:1, burstTarget:6, constellation:0 };
+
+// Constellations: C3 / C5 each add +3 to one talent (characters.json c3 / c5 = na | skill | burst).
+// Cards show the boosted (in-game) level; costs always use the base level.
+const CONSTELLATION_MAX = 6;
+const BOOST_CONSTELLATIONS = [3, 5];
+const TALENT_BOOST = 3;
+const TALENT_MAX = 10;
+const talentBonus = (c, talent, constellation = c.constellation) =>
+  BOOST_CONSTELLATIONS.filter(n => (constellation||0) >= n && c.boosts && c.boosts[`c${n}`] === talent).length * TALENT_BOOST;
+const toBaseTalent = (displayed, bonus) => Math.min(TALENT_MAX, Math.max(1, displayed - bonus));
+const toDisplayedTalent = (base, bonus) => base + bonus;
+
+// Region × Day → book object used by cards and totals (null when the series doesn't exist)
+function makeTalentBook(region, day){
+  if (!(region && day && TALENT_BOOKS[region] && TALENT_BOOKS[region][day])) return null;
+  const { key, name_kr, name_en } = TALENT_BOOKS[region][day];
+  return {
+    key,
+    name_kr, name_en,
+    region, day,
+    image: IMAGE_SERIES(region, key),
+    tiers: {
+      low:  { key: 'teachings',    label_kr:'가르침',       image: IMAGE_SERIES_TIER(region, key, 'teachings') },
+      mid:  { key: 'guide',        label_kr:'인도',         image: IMAGE_SERIES_TIER(region, key, 'guide') },
+      high: { key: 'philosophies', label_kr:'철학',         image: IMAGE_SERIES_TIER(region, key, 'philosophies') }
+    }
+  };
+}
+
+// characters.json `talent_books` (Traveler): { na|skill|burst|all: seriesKey | [seriesKey, ...] }
+// An array lists the series per level step (index 0 = 1→2) and repeats when shorter than 9.
+// → { na:[book...], skill:[book...], burst:[book...] } (null when absent; unknown keys are dropped)
+function normalizeTalentBooks(raw){
+  if (!raw || typeof raw !== 'object') return null;
+  const out = {};
+  for (const talent of TALENT_KEYS){
+    const keys = [].concat(raw[talent] ?? raw.all ?? []);
+    out[talent] = keys.map(k => SERIES_BY_KEY[k]).filter(Boolean).map(s => makeTalentBook(s.region, s.day));
+  }
+  return TALENT_KEYS.some(k => out[k].length) ? out : null;
+}
+
+function normalizeCharacter(c){
+  const regionRaw = (c.region||'').toString().trim().toLowerCase();
+  const dayRaw    = (c.day||'').toString().trim().toLowerCase();
+  const talentBooks = normalizeTalentBooks(c.talent_books);
+
+  // per-talent books only: the first listed series stands in for region / day / card badge
+  const first     = talentBooks && TALENT_KEYS.map(k => talentBooks[k][0]).find(Boolean);
+  const region    = REGION_ALIAS[regionRaw] || regionRaw || (first ? first.region : '');
+  const day       = DAY_ALIAS[dayRaw] || dayRaw || (first ? first.day : '');
+  const book      = makeTalentBook(region, day) || first || null;
+
+  // gem follows the element unless the row names one; ascension_common: a different family for ascension than for talents
+  const elementKey = ELEMENT_ALIAS[(c.element||'').toLowerCase()] || (c.element||'').toLowerCase();
+  const common     = COMMON_DROPS[c.common] ? c.common : null;
+  const materials = {
+    gem:       GEM_BY_KEY[c.gem] ? c.gem : ELEMENTS.includes(elementKey) ? ASCENSION_GEMS[elementKey].key : null,
+    boss:      BOSS_DROPS[c.boss]             ? c.boss      : null,
+    specialty: LOCAL_SPECIALTIES[c.specialty] ? c.specialty : null,
+    common,
+    ascensionCommon: COMMON_DROPS[c.ascension_common] ? c.ascension_common : common,
+    weekly:    WEEKLY_MATERIALS[c.weekly_boss] ? c.weekly_boss : null
+  };
+
+  return {
+    id: c.id,
+    name: (c.name_kr && c.name_kr.trim()) ? c.name_kr : c.name_en,
+    name_kr: (c.name_kr || '').trim(),
+    name_en: c.name_en || '',
+    element: c.element || '',
+    weapon:  c.weapon  || '',
+    aliases: Array.isArray(c.aliases) ? c.aliases.filter(a => typeof a === 'string' && a.trim()) : [],
+    image:   c.image   || 'images/placeholder.png',
+    region, day,
+    talent_book: book,
+    talent_books: talentBooks,
+    boosts: Object.fromEntries(BOOST_CONSTELLATIONS.map(n => [`c${n}`, TALENT_KEYS.includes(c[`c${n}`]) ? c[`c${n}`] : null])),
+    levelGroup: (typeof c.level_group === 'string' && c.level_group.trim()) || null,
+    materials
+  };
+}
+
+// Raw goal values → { goal, errors: [{ field, value, kind:'level'|'talent'|'constellation' }] } (callers word the message);
+// missing fields fall back to DEFAULT_GOAL
+function validateGoal(entry){
+  const goal = {}, errors = [];
+  for (const f of GOAL_FIELDS){
+    const raw = entry[f] ?? DEFAULT_GOAL[f];
+    if (f === 'constellation'){
+      const v = +raw;
+      if (!Number.isInteger(v) || v < 0 || v > CONSTELLATION_MAX){ errors.push({ field:f, value:raw, kind:'constellation' }); continue; }
+      goal[f] = v;
+    } else if (f.startsWith('level')){
+      const lv = parseLevel(raw);
+      if (!lv){ errors.push({ field:f, value:raw, kind:'level' }); continue; }
+      goal[f] = lv.token;
+    } else {
+      const v = +raw;
+      if (!Number.isInteger(v) || v < 1 || v > TALENT_MAX){ errors.push({ field:f, value:raw, kind:'talent' }); continue; }
+      goal[f] = v;
+    }
+  }
+  return { goal, errors };
+}
+
+function normalizeTalentCosts(rows){
+  return (rows||[]).map(r => ({
+    from: +r.from, to: +r.to,
+    book_low: +(r.book_low||0), book_mid: +(r.book_mid||0), book_high: +(r.book_high||0),
+    mora: +(r.mora||0), crown: +(r.crown||0),
+    common_low: +(r.common_low||0), common_mid: +(r.common_mid||0), common_high: +(r.common_high||0),
+    weekly_boss: +(r.weekly_boss||0)
+  }));
+}
+
+// weapons.json row → normalized weapon (kind:'weapon'; domain = region × day series with tier icons)
+function normalizeWeapon(w){
+  const regionRaw = (w.region||'').toString().trim().toLowerCase();
+  const dayRaw    = (w.day||'').toString().trim().toLowerCase();
+  const region    = REGION_ALIAS[regionRaw] || regionRaw || '';
+  const day       = DAY_ALIAS[dayRaw] || dayRaw || '';
+
+  let domain = null;
+  if (region && day && WEAPON_DOMAINS[region] && WEAPON_DOMAINS[region][day]){
+    const { key, name_kr, name_en } = WEAPON_DOMAINS[region][day];
+    domain = { key, name_kr, name_en, region, day,
+      tiers: Object.fromEntries(WEAPON_DOMAIN_TIERS.map(t => [t, { key:`${key}_${t}`, image: IMAGE_MATERIAL(`${key}_${t}`) }])) };
+  }
+
+  return {
+    kind: 'weapon',
+    id: w.id,
+    name: (w.name_kr && w.name_kr.trim()) ? w.name_kr : w.name_en,
+    name_kr: (w.name_kr || '').trim(),
+    name_en: w.name_en || '',
+    type:    w.type || '',
+    aliases: Array.isArray(w.aliases) ? w.aliases.filter(a => typeof a === 'string' && a.trim()) : [],
+    rarity:  WEAPON_COSTS[+w.rarity] ? +w.rarity : 0,
+    image:   w.image || null,   // weapon art is not shipped: the card draws the initials tile
+    region, day,
+    domain,
+    materials: {
+      elite:  ELITE_DROPS[w.elite]   ? w.elite  : null,
+      common: COMMON_DROPS[w.common] ? w.common : null
+    }
+  };
+}
+
+// Weapon goal: current / target level on an anchor token → same shape as validateGoal
+const WEAPON_GOAL_FIELDS  = ['levelCurrent','levelTarget'];
+const DEFAULT_WEAPON_GOAL = { levelCurrent:'1', levelTarget:String(WEAPON_LEVEL_MAX) };
+function validateWeaponGoal(entry){
+  const goal = {}, errors = [];
+  for (const f of WEAPON_GOAL_FIELDS){
+    const raw = entry[f] ?? DEFAULT_WEAPON_GOAL[f];
+    const lv = parseLevel(raw);
+    if (!lv || !WEAPON_LEVEL_OPTIONS.includes(lv.token)){ errors.push({ field:f, value:raw, kind:'weaponLevel' }); continue; }
+    goal[f] = lv.token;
+  }
+  return { goal, errors };
+}
+
+// Talent level cap per ascension phase (phase 0/1: 1, 2: 2, 3: 4, 4: 6, 5: 8, 6: 10)
+const TALENT_CAP_BY_PHASE = [1, 1, 2, 4, 6, 8, 10];
+const phaseForTalent = level => TALENT_CAP_BY_PHASE.findIndex(cap => cap >= level);
+// Lowest level token that reaches an ascension phase (phase 6 → '80+')
+const levelForPhase = phase => phase > 0 ? `${ASCENSION_CAPS[phase - 1]}+` : '1';
+const levelRank = token => LEVEL_OPTIONS.indexOf(token);
+
+// Valid goal → { goal, issues: [{ field, kind, ... }] }
+// - 'raised':   levelTarget pushed up to the phase the talent targets need (costs include those levels)
+// - 'inverted': target below current (that range costs nothing)
+// - 'gate':     current talent above what the current ascension phase allows
+function checkGoal(g){
+  const goal = { ...g }, issues = [];
+  const need = Math.max(...TALENT_KEYS.map(k => phaseForTalent(goal[`${k}Target`])));
+  if (parseLevel(goal.levelTarget).phase < need){
+    const to = levelForPhase(need);
+    issues.push({ field:'levelTarget', kind:'raised', from:goal.levelTarget, to, phase:need });
+    goal.levelTarget = to;
+  }
+  if (levelRank(goal.levelTarget) < levelRank(goal.levelCurrent)) issues.push({ field:'levelTarget', kind:'inverted' });
+
+  const phase = parseLevel(goal.levelCurrent).phase;
+  for (const k of TALENT_KEYS){
+    if (goal[`${k}Target`] < goal[`${k}Current`]) issues.push({ field:`${k}Target`, kind:'inverted' });
+    if (phaseForTalent(goal[`${k}Current`]) > phase) issues.push({ field:`${k}Current`, kind:'gate', max:TALENT_CAP_BY_PHASE[phase] });
+  }
+  return { goal, issues };
+}
+
+// Weapons only have the level range to get backwards
+function checkWeaponGoal(g){
+  const rank = token => WEAPON_LEVEL_OPTIONS.indexOf(token);
+  const issues = rank(g.levelTarget) < rank(g.levelCurrent) ? [{ field:'levelTarget', kind:'inverted' }] : [];
+  return { goal:{ ...g }, issues };
+}
+
+// ------------------------------
+// 4) Calculators
+// XP → EXP books (largest first, remainder rounded up with the smallest), overflow and feeding Mora
+function splitExp(xp){
+  const out = { hero:0, adventurer:0, wanderer:0, leftover:0, mora:0 };
+  let rest = xp;
+  EXP_BOOKS.forEach((b, i) => {
+    const last = i === EXP_BOOKS.length - 1;
+    out[b.key] = last ? Math.ceil(Math.max(0, rest) / b.xp) : Math.floor(rest / b.xp);
+    rest -= out[b.key] * b.xp;
+  });
+  // 5 wanderer's advice → 1 adventurer's experience (same XP, fewer items)
+  if (out.wanderer * EXP_BOOKS[2].xp >= EXP_BOOKS[1].xp){ out.adventurer += 1; out.wanderer -= EXP_BOOKS[1].xp / EXP_BOOKS[2].xp; }
+  const fed = EXP_BOOKS.reduce((a, b) => a + out[b.key] * b.xp, 0);
+  out.leftover = fed - xp;
+  out.mora = fed / XP_PER_MORA;
+  return out;
+}
+
+// Exact XP between two level tokens (the part up to Lv.90; beyond that see calcEndgameCost)
+function calcLevelCost(curr, target){
+  const c = parseLevel(curr), t = parseLevel(target);
+  const to = t ? Math.min(t.level, XP_LEVEL_MAX) : 0;
+  if (!c || !t || to <= c.level) return { xp:0, mora:0, hero:0, adventurer:0, wanderer:0, leftover:0 };
+  let xp = 0;
+  for (let l = c.level; l < to; l++) xp += LEVEL_XP[l-1];
+  return { xp, ...splitExp(xp) };
+}
+
+// Lv.90 → 100 rows reached between curr and target
+function calcEndgameCost(curr, target){
+  const c = parseLevel(curr), t = parseLevel(target);
+  const out = { material:0, mora:0 };
+  if (!c || !t || t.level <= c.level) return out;
+  for (const row of ENDGAME_LEVEL_COSTS){
+    if (row.level > c.level && row.level <= t.level){ out.material += row.material; out.mora += row.mora; }
+  }
+  return out;
+}
+
+// Ascension phases between curr and target ('80' → '80+' is exactly phase 6)
+function calcAscensionCost(curr, target){
+  const out = { mora:0, gems:{ sliver:0, fragment:0, chunk:0, gemstone:0 }, boss:0, specialty:0, common:{ low:0, mid:0, high:0 } };
+  const c = parseLevel(curr), t = parseLevel(target);
+  if (!c || !t || t.phase <= c.phase) return out;
+  for (const row of ASCENSION_COSTS){
+    if (row.phase > c.phase && row.phase <= t.phase){
+      out.mora += row.mora;
+      GEM_TIERS.forEach(t => { out.gems[t] += row[`gem_${t}`]; });
+      out.boss += row.boss; out.specialty += row.specialty;
+      COMMON_TIERS.forEach(t => { out.common[t] += row[`common_${t}`]; });
+    }
+  }
+  return out;
+}
+
+// Use book_cost.json steps (books, Mora, Crown, common drops, weekly boss material)
+function calcTalentCost(from, to, steps = TALENT_COSTS){
+  let out = { mora:0, crown:0, books:{low:0,mid:0,high:0}, common:{low:0,mid:0,high:0}, weekly:0 };
+  if (to <= from) return out;
+  for (const step of steps){
+    if (step.from >= from && step.to <= to){
+      out.mora += step.mora||0;
+      out.crown += step.crown||0;
+      out.books.low  += step.book_low  || 0;
+      out.books.mid  += step.book_mid  || 0;
+      out.books.high += step.book_high || 0;
+      out.common.low  += step.common_low  || 0;
+      out.common.mid  += step.common_mid  || 0;
+      out.common.high += step.common_high || 0;
+      out.weekly += step.weekly_boss || 0;
+    }
+  }
+  return out;
+}
+
+// Book series for the talent step from → from+1 (per-talent rotation, else the character's series)
+function talentBookAt(c, talent, from){
+  const rotation = c.talent_books && c.talent_books[talent];
+  return rotation && rotation.length ? rotation[(from - 1) % rotation.length] : c.talent_book;
+}
+
+// Every distinct series a character uses (card badges, totals rows)
+function characterSeries(c){
+  const books = c.talent_books ? TALENT_KEYS.flatMap(k => c.talent_books[k]) : [];
+  if (!books.length && c.talent_book) books.push(c.talent_book);
+  const seen = new Set();
+  return books.filter(b => b && !seen.has(`${b.region}/${b.key}`) && seen.add(`${b.region}/${b.key}`));
+}
+
+// Talent books split per series → { 'region/seriesKey': { book, low, mid, high } } (all talents, or just the ones given)
+function calcTalentBooks(s, steps = TALENT_COSTS, talents = TALENT_KEYS){
+  const out = {};
+  for (const book of characterSeries(s)) out[`${book.region}/${book.key}`] = { book, low:0, mid:0, high:0 };
+  for (const talent of talents){
+    const from = +s[`${talent}Current`], to = +s[`${talent}Target`];
+    for (const step of steps){
+      if (!(step.from >= from && step.to <= to)) continue;
+      const book = talentBookAt(s, talent, step.from);
+      const row = book && out[`${book.region}/${book.key}`];
+      if (!row) continue;
+      row.low  += step.book_low  || 0;
+      row.mid  += step.book_mid  || 0;
+      row.high += step.book_high || 0;
+    }
+  }
+  return out;
+}
+
+// Owned vs required for one series. Spare teachings are crafted into missing guides,
+// then spare guides (incl. ones crafted from leftover teachings) into missing philosophies.
+function calcBookShortfall(need, own){
+  const spareLow  = Math.max(0, own.low - need.low);
+  const lackMid   = Math.max(0, need.mid - own.mid);
+  const craftMid  = Math.min(lackMid, Math.floor(spareLow / CRAFT_RATIO));
+  const lowLeft   = spareLow - craftMid * CRAFT_RATIO;
+
+  const spareMid  = Math.max(0, own.mid - need.mid);
+  const lackHigh  = Math.max(0, need.high - own.high);
+  const craftHigh = Math.min(lackHigh, Math.floor((spareMid + Math.floor(lowLeft / CRAFT_RATIO)) / CRAFT_RATIO));
+  const midFromLow = Math.max(0, craftHigh * CRAFT_RATIO - spareMid);
+
+  const craft = { mid: craftMid + midFromLow, high: craftHigh };
+  return {
+    short: { low: Math.max(0, need.low - own.low), mid: lackMid - craftMid, high: lackHigh - craftHigh },
+    craft,
+    mora: craft.mid * CRAFT_MORA.mid + craft.high * CRAFT_MORA.high
+  };
+}
+
+// Flatten one character's ascension + talent materials into rows [{ key, group, label, icon, value }] (zeros dropped)
+// ascension: calcAscensionCost (its common drops use materials.ascensionCommon); common / weekly: talent drops only.
+// Rows with the same key (ascension and talents from one common family) are added together.
+function materialEntries(materials, { ascension = calcAscensionCost('1', '1'), common = { low:0, mid:0, high:0 }, weekly = 0 }, lang = 'ko'){
+  const out = [];
+  if (!materials) return out;
+  const add = row => { const same = out.find(r => r.key === row.key); if (same) same.value += row.value; else out.push(row); };
+  const addCommon = (family, n) => { const drops = COMMON_DROPS[family];
+    if (drops) COMMON_TIERS.forEach((t, i) => add({ key:`${family}_${t}`, group:'common', label:tierLabel(drops, i, lang), icon:IMAGE_MATERIAL(`${family}_${t}`), value:n[t] })); };
+  const gem = GEM_BY_KEY[materials.gem];
+  if (gem) GEM_TIERS.forEach(t => add({ key:`${gem.key}_${t}`, group:'gem', label:gemLabel(gem, t, lang), icon:IMAGE_MATERIAL(`${gem.key}_${t}`), value:ascension.gems[t] }));
+  if (materials.boss) add({ key:materials.boss, group:'boss', label:matLabel(BOSS_DROPS[materials.boss], lang), icon:IMAGE_MATERIAL(materials.boss), value:ascension.boss });
+  if (materials.specialty) add({ key:materials.specialty, group:'specialty', label:matLabel(LOCAL_SPECIALTIES[materials.specialty], lang), icon:IMAGE_MATERIAL(materials.specialty), value:ascension.specialty });
+  addCommon(materials.ascensionCommon || materials.common, ascension.common);
+  addCommon(materials.common, common);
+  if (materials.weekly) add({ key:materials.weekly, group:'weekly', boss:weeklyBossOf(materials.weekly), label:matLabel(WEEKLY_MATERIALS[materials.weekly], lang), icon:IMAGE_MATERIAL(materials.weekly), value:weekly });
+  return out.filter(e => e.value > 0);
+}
+
+function calcCharacterCost(s, steps = TALENT_COSTS){
+  const lvl = calcLevelCost(s.levelCurrent, s.levelTarget);
+  const asc = calcAscensionCost(s.levelCurrent, s.levelTarget);
+  const end = calcEndgameCost(s.levelCurrent, s.levelTarget);
+  const tNA = calcTalentCost(s.naCurrent,    s.naTarget, steps);
+  const tSK = calcTalentCost(s.skillCurrent, s.skillTarget, steps);
+  const tBR = calcTalentCost(s.burstCurrent, s.burstTarget, steps);
+
+  const books = {
+    low:  (tNA.books.low||0)  + (tSK.books.low||0)  + (tBR.books.low||0),
+    mid:  (tNA.books.mid||0)  + (tSK.books.mid||0)  + (tBR.books.mid||0),
+    high: (tNA.books.high||0) + (tSK.books.high||0) + (tBR.books.high||0)
+  };
+  const crown = (tNA.crown||0) + (tSK.crown||0) + (tBR.crown||0);
+  // common drops: talents only, then + ascension (one family for everyone but the Traveler, see materialEntries)
+  const talentCommon = {
+    low:  tNA.common.low  + tSK.common.low  + tBR.common.low,
+    mid:  tNA.common.mid  + tSK.common.mid  + tBR.common.mid,
+    high: tNA.common.high + tSK.common.high + tBR.common.high
+  };
+  const common = Object.fromEntries(COMMON_TIERS.map(t => [t, asc.common[t] + talentCommon[t]]));
+  const weekly = tNA.weekly + tSK.weekly + tBR.weekly;
+
+  return { mora: lvl.mora + asc.mora + end.mora + tNA.mora + tSK.mora + tBR.mora, xp: lvl.xp, heroBooks: lvl.hero,
+    adventurer: lvl.adventurer, wanderer: lvl.wanderer, xpLeftover: lvl.leftover, books, crown, ascension: asc, common, talentCommon, weekly,
+    endgame: end.material, series: calcTalentBooks(s, steps) };
+}
+
+// Card breakdown rows: { key, kind, icon, value, ... }; keys match totalsByKey() so a row can show its share of the roster
+// kind: mora | xp | exp | endgame | crown | book (+ book, tier) | material (+ label) | ore (+ ore)
+const bookTierKey = (book, tier) => `${book.region}_${book.key}_${tier}`;
+
+// One character → { level:[rows], na:[rows], skill:[rows], burst:[rows] } (zeros dropped; sums match calcCharacterCost)
+function calcCostBreakdown(s, steps = TALENT_COSTS, lang = 'ko'){
+  const lvl = calcLevelCost(s.levelCurrent, s.levelTarget);
+  const asc = calcAscensionCost(s.levelCurrent, s.levelTarget);
+  const end = calcEndgameCost(s.levelCurrent, s.levelTarget);
+  const expIcons = { hero:ICON_HEROWIT, adventurer:ICON_ADVENTURER, wanderer:ICON_WANDERER };
+  const out = {
+    level: [
+      { key:'mora', kind:'mora', icon:ICON_MORA, value:lvl.mora + asc.mora + end.mora },
+      { key:'xp', kind:'xp', icon:ICON_XP, value:lvl.xp },
+      ...EXP_BOOKS.map(b => ({ key:b.key, kind:'exp', icon:expIcons[b.key], value:lvl[b.key] })),
+      { key:ENDGAME_MATERIAL.key, kind:'endgame', icon:ICON_ENDGAME, value:end.material },
+      ...materialEntries(s.materials, { ascension:asc }, lang).map(e => ({ ...e, kind:'material' }))
+    ].filter(r => r.value > 0)
+  };
+  for (const talent of TALENT_KEYS){
+    const cost = calcTalentCost(+s[`${talent}Current`], +s[`${talent}Target`], steps);
+    const books = Object.values(calcTalentBooks(s, steps, [talent])).flatMap(({ book, ...n }) =>
+      ['low', 'mid', 'high'].map(tier => ({ key:bookTierKey(book, tier), kind:'book', book, tier, icon:book.tiers[tier].image, value:n[tier] })));
+    out[talent] = [
+      { key:'mora', kind:'mora', icon:ICON_MORA, value:cost.mora },
+      ...books,
+      { key:'crown', kind:'crown', icon:ICON_CROWN, value:cost.crown },
+      ...materialEntries(s.materials, { common:cost.common, weekly:cost.weekly }, lang).map(e => ({ ...e, kind:'material' }))
+    ].filter(r => r.value > 0);
+  }
+  return out;
+}
+
+// XP → enhancement ores (largest first, remainder rounded up with the smallest) + Mora
+function splitOre(xp){
+  const out = { mystic:0, fine:0, basic:0, leftover:0, mora:0 };
+  let rest = xp;
+  WEAPON_ORES.forEach((o, i) => {
+    const last = i === WEAPON_ORES.length - 1;
+    out[o.key] = last ? Math.ceil(Math.max(0, rest) / o.xp) : Math.floor(rest / o.xp);
+    rest -= out[o.key] * o.xp;
+  });
+  const fed = WEAPON_ORES.reduce((a, o) => a + out[o.key] * o.xp, 0);
+  out.leftover = fed - xp;
+  out.mora = fed / WEAPON_XP_PER_MORA;
+  return out;
+}
+
+// One weapon: level XP between anchors + ascension phases crossed
+function calcWeaponCost(w){
+  const out = { mora:0, xp:0, ore:{ mystic:0, fine:0, basic:0 }, oreLeftover:0,
+    domain:{ t2:0, t3:0, t4:0, t5:0 }, elite:{ low:0, mid:0, high:0 }, common:{ low:0, mid:0, high:0 } };
+  const table = WEAPON_COSTS[w.rarity];
+  const c = parseLevel(w.levelCurrent), t = parseLevel(w.levelTarget);
+  if (!table || !c || !t) return out;
+
+  WEAPON_LEVEL_ANCHORS.slice(0, -1).forEach((from, i) => {
+    if (from >= c.level && WEAPON_LEVEL_ANCHORS[i + 1] <= t.level) out.xp += table.xp[i];
+  });
+  const ore = splitOre(out.xp);
+  WEAPON_ORES.forEach(o => { out.ore[o.key] = ore[o.key]; });
+  out.oreLeftover = ore.leftover;
+  out.mora = out.xp ? ore.mora : 0;
+
+  for (const row of table.ascension){
+    if (row.phase > c.phase && row.phase <= t.phase){
+      out.mora += row.mora;
+      WEAPON_DOMAIN_TIERS.forEach((k, i) => { out.domain[k] += row.domain[i]; });
+      COMMON_TIERS.forEach((k, i) => { out.elite[k] += row.elite[i]; out.common[k] += row.common[i]; });
+    }
+  }
+  return out;
+}
+
+// Weapon materials as rows [{ key, group, label, icon, value }]; common drops share keys with characters
+function weaponMaterialEntries(w, cost, lang = 'ko'){
+  const out = [];
+  if (w.domain) WEAPON_DOMAIN_TIERS.forEach(t => out.push({ key:w.domain.tiers[t].key, group:'weapon',
+    label:`${matLabel(w.domain, lang)} ${WEAPON_DOMAIN_TIER_LABEL[t]}`, icon:w.domain.tiers[t].image, value:cost.domain[t] }));
+  const elite = ELITE_DROPS[w.materials && w.materials.elite];
+  if (elite) COMMON_TIERS.forEach((t, i) => out.push({ key:`${w.materials.elite}_${t}`, group:'elite', label:tierLabel(elite, i, lang), icon:IMAGE_MATERIAL(`${w.materials.elite}_${t}`), value:cost.elite[t] }));
+  const common = COMMON_DROPS[w.materials && w.materials.common];
+  if (common) COMMON_TIERS.forEach((t, i) => out.push({ key:`${w.materials.common}_${t}`, group:'common', label:tierLabel(common, i, lang), icon:IMAGE_MATERIAL(`${w.materials.common}_${t}`), value:cost.common[t] }));
+  return out.filter(e => e.value > 0);
+}
+
+// One weapon → { level:[rows] } (same row shape as calcCostBreakdown)
+function calcWeaponBreakdown(w, lang = 'ko'){
+  const cost = calcWeaponCost(w);
+  return { level: [
+    { key:'mora', kind:'mora', icon:ICON_MORA, value:cost.mora },
+    ...WEAPON_ORES.map(ore => ({ key:`ore_${ore.key}`, kind:'ore', ore, icon:ore.icon, value:cost.ore[ore.key] })),
+    ...weaponMaterialEntries(w, cost, lang).map(e => ({ ...e, kind:'material' }))
+  ].filter(r => r.value > 0) };
+}
+
+// Characters sharing a level_group (the Traveler rows: one character, several elements) level up once:
+// group → { first, levelCurrent, levelTarget } with the lowest current and highest target of its members
+function levelGroupRanges(list){
+  const at = token => LEVEL_OPTIONS.indexOf((parseLevel(token) || {}).token);
+  const out = {};
+  for (const it of list){
+    if (it.kind === 'weapon' || !it.levelGroup) continue;
+    const g = out[it.levelGroup];
+    if (!g){ out[it.levelGroup] = { first:it, levelCurrent:it.levelCurrent, levelTarget:it.levelTarget }; continue; }
+    if (at(it.levelCurrent) >= 0 && at(it.levelCurrent) < at(g.levelCurrent)) g.levelCurrent = it.levelCurrent;
+    if (at(it.levelTarget) > at(g.levelTarget)) g.levelTarget = it.levelTarget;
+  }
+  return out;
+}
+
+// The goal a group member is costed / budgeted with: the first member carries the group's level range, the others keep talents only
+function levelGroupGoal(it, groups){
+  const g = it.levelGroup && groups[it.levelGroup];
+  if (!g) return it;
+  return g.first === it ? { ...it, levelCurrent:g.levelCurrent, levelTarget:g.levelTarget } : { ...it, levelTarget:it.levelCurrent };
+}
+
+// Roster → overall sum, talent book totals per series, material totals per key
+// (a level_group's level / ascension cost is charged once, to its first member; the others add talents only)
+function calcRosterTotals(list, steps = TALENT_COSTS, lang = 'ko'){
+  const sum = { mora:0, xp:0, hero:0, adventurer:0, wanderer:0, xpLeftover:0, books:{low:0, mid:0, high:0}, crown:0, endgame:0,
+    weaponXp:0, ore:{ mystic:0, fine:0, basic:0 }, oreLeftover:0 };
+  const seriesTotals = {}; // key: seriesKey@@nameKr@@region
+  const matTotals = {};    // key: material key (gem/common keys include the tier)
+
+  const addMaterials = entries => entries.forEach(e => {
+    if (!matTotals[e.key]) matTotals[e.key] = { ...e, value:0 };
+    matTotals[e.key].value += e.value;
+  });
+  const groups = levelGroupRanges(list);
+
+  for (const it of list){
+    if (it.kind === 'weapon'){
+      const w = calcWeaponCost(it);
+      sum.mora += w.mora; sum.weaponXp += w.xp; sum.oreLeftover += w.oreLeftover;
+      WEAPON_ORES.forEach(o => { sum.ore[o.key] += w.ore[o.key]; });
+      addMaterials(weaponMaterialEntries(it, w, lang));
+      continue;
+    }
+    const c = calcCharacterCost(levelGroupGoal(it, groups), steps);
+    sum.mora += c.mora; sum.xp += c.xp; sum.hero += c.heroBooks; sum.crown += c.crown||0;
+    sum.adventurer += c.adventurer; sum.wanderer += c.wanderer; sum.xpLeftover += c.xpLeftover; sum.endgame += c.endgame;
+    sum.books.low  += c.books.low  || 0; sum.books.mid += c.books.mid || 0; sum.books.high += c.books.high || 0;
+
+    addMaterials(materialEntries(it.materials, { ascension:c.ascension, common:c.talentCommon, weekly:c.weekly }, lang));
+
+    // per series, so a Traveler's books land in each region they come from
+    for (const { book, low, mid, high } of Object.values(c.series)){
+      const sKey = `${book.key}@@${book.name_kr}@@${book.region}`;
+      if (!seriesTotals[sKey]){
+        seriesTotals[sKey] = { key: book.key, nameKr: book.name_kr, nameEn: book.name_en, region: book.region, day: book.day,
+          chars: [],
+          sums:{ teachings:0, guide:0, philosophies:0 },
+          icons:{ teachings: book.tiers.low.image, guide: book.tiers.mid.image, philosophies: book.tiers.high.image }
+        };
+      }
+      seriesTotals[sKey].sums.teachings    += low;
+      seriesTotals[sKey].sums.guide        += mid;
+      seriesTotals[sKey].sums.philosophies += high;
+      if (low + mid + high > 0) seriesTotals[sKey].chars.push(it.name);
+    }
+  }
+  return { sum, seriesTotals, matTotals };
+}
+
+// calcRosterTotals() result → { rowKey: value } for the breakdown share of each row
+function totalsByKey({ sum, seriesTotals, matTotals }){
+  const out = { mora:sum.mora, xp:sum.xp, hero:sum.hero, adventurer:sum.adventurer, wanderer:sum.wanderer,
+    [ENDGAME_MATERIAL.key]:sum.endgame, crown:sum.crown };
+  WEAPON_ORES.forEach(o => { out[`ore_${o.key}`] = sum.ore[o.key]; });
+  for (const st of Object.values(seriesTotals)){
+    const book = { region:st.region, key:st.key };
+    out[bookTierKey(book, 'low')] = st.sums.teachings;
+    out[bookTierKey(book, 'mid')] = st.sums.guide;
+    out[bookTierKey(book, 'high')] = st.sums.philosophies;
+  }
+  for (const e of Object.values(matTotals)) out[e.key] = e.value;
+  return out;
+}
+
+// ------------------------------
+// 4-1) Budget walk: the roster in priority order against owned Mora / Hero's Wit / Crowns / talent books
+// Level first (one step per ascension anchor), then talents one level at a time (NA, skill, burst in turn).
+// A character stops at the first step the budget can't cover; the next one gets what is left.
+// Only these four are budgeted: gems, boss drops, common drops, weekly materials and ores are not.
+const HERO_XP = EXP_BOOKS[0].xp;
+
+// Level range → steps ending at each ascension cap, its ✦, Lv.90 and every endgame level
+function levelSteps(curr, target){
+  const c = parseLevel(curr), t = parseLevel(target);
+  if (!c || !t) return [];
+  const from = LEVEL_OPTIONS.indexOf(c.token), to = LEVEL_OPTIONS.indexOf(t.token);
+  const steps = [];
+  let prev = c.token;
+  LEVEL_OPTIONS.forEach((tok, i) => {
+    if (i <= from || i > to) return;
+    if (i === to || tok.endsWith('+') || ASCENSION_CAPS.includes(+tok) || +tok >= XP_LEVEL_MAX){ steps.push({ from:prev, to:tok }); prev = tok; }
+  });
+  return steps;
+}
+
+// Owned books of one series − need, crafting 3:1 upwards like calcBookShortfall → { left, mora } | { blocked: tier }
+function spendBooks(own, need){
+  let low = own.low - need.low;
+  if (low < 0) return { blocked:'low' };
+  const craftMid = Math.max(0, need.mid - own.mid);
+  low -= craftMid * CRAFT_RATIO;
+  if (low < 0) return { blocked:'mid' };
+  let mid = own.mid + craftMid - need.mid;
+  const craftHigh = Math.max(0, need.high - own.high);
+  const midFromLow = Math.max(0, craftHigh * CRAFT_RATIO - mid);
+  low -= midFromLow * CRAFT_RATIO;
+  if (low < 0) return { blocked:'high' };
+  mid += midFromLow - craftHigh * CRAFT_RATIO;
+  return { left:{ low, mid, high: own.high + craftHigh - need.high },
+    mora: (craftMid + midFromLow) * CRAFT_MORA.mid + craftHigh * CRAFT_MORA.high };
+}
+
+// One roster item → ordered steps { kind:'level'|'talent', talent?, from, to, mora, xp, crown, book?, books? }
+function budgetSteps(it, steps = TALENT_COSTS){
+  if (it.kind === 'weapon'){
+    const from = WEAPON_LEVEL_OPTIONS.indexOf(it.levelCurrent), to = WEAPON_LEVEL_OPTIONS.indexOf(it.levelTarget);
+    return WEAPON_LEVEL_OPTIONS.slice(from + 1, to + 1).map((tok, i) => {
+      const prev = WEAPON_LEVEL_OPTIONS[from + i];
+      return { kind:'level', from:prev, to:tok, mora:calcWeaponCost({ ...it, levelCurrent:prev, levelTarget:tok }).mora, xp:0, crown:0 };
+    });
+  }
+  const out = levelSteps(it.levelCurrent, it.levelTarget).map(({ from, to }) => {
+    const lvl = calcLevelCost(from, to);
+    return { kind:'level', from, to, xp:lvl.xp, crown:0,
+      mora: lvl.mora + calcAscensionCost(from, to).mora + calcEndgameCost(from, to).mora };
+  });
+  for (let level = 1; level < TALENT_MAX; level++){
+    for (const talent of TALENT_KEYS){
+      if (!(it[`${talent}Current`] <= level && level < it[`${talent}Target`])) continue;
+      const row = steps.find(r => r.from === level && r.to === level + 1);
+      if (!row) continue;
+      out.push({ kind:'talent', talent, from:level, to:level + 1, mora:row.mora, xp:0, crown:row.crown,
+        book: talentBookAt(it, talent, level), books:{ low:row.book_low, mid:row.book_mid, high:row.book_high } });
+    }
+  }
+  return out;
+}
+
+// budget: { mora, hero, crown, books:{ seriesKey:{ low, mid, high } } } (the inventory)
+// → { plans:[{ uid, id, name, kind, steps:[step + affordable / blocked], reached, blocker }], left:{ mora, hero, xp, crown, books } }
+// reached: where the affordable steps end (levelCurrent / <talent>Current); blocker: first material short, or null
+// A level_group walks its level steps once, on its first member (levelGroupGoal), like calcRosterTotals
+function allocateBudget(list, budget = {}, steps = TALENT_COSTS){
+  const left = { mora:budget.mora || 0, xp:(budget.hero || 0) * HERO_XP, crown:budget.crown || 0, books:{} };
+  const booksOf = key => left.books[key] || (left.books[key] = { low:0, mid:0, high:0, ...((budget.books || {})[key]) });
+  const groups = levelGroupRanges(list);
+
+  const plans = list.map(member => {
+    const it = levelGroupGoal(member, groups);
+    const reached = it.kind === 'weapon' ? { levelCurrent:it.levelCurrent }
+      : { levelCurrent:it.levelCurrent, ...Object.fromEntries(TALENT_KEYS.map(k => [`${k}Current`, it[`${k}Current`]])) };
+    const plan = { uid:it.uid, id:it.id, name:it.name, kind:it.kind || 'character', steps:[], reached, blocker:null };
+    for (const step of budgetSteps(it, steps)){
+      if (!plan.blocker){
+        let mora = step.mora, books = null;
+        if (step.xp > left.xp) plan.blocker = { material:'hero', need:Math.ceil(step.xp / HERO_XP), have:Math.floor(left.xp / HERO_XP) };
+        else if (step.book){
+          books = spendBooks(booksOf(step.book.key), step.books);
+          if (books.blocked) plan.blocker = { material:'book', book:step.book, tier:books.blocked, need:step.books[books.blocked], have:booksOf(step.book.key)[books.blocked] };
+          else mora += books.mora;
+        }
+        if (!plan.blocker && step.crown > left.crown) plan.blocker = { material:'crown', need:step.crown, have:left.crown };
+        if (!plan.blocker && mora > left.mora) plan.blocker = { material:'mora', need:mora, have:left.mora };
+        if (!plan.blocker){
+          left.mora -= mora; left.xp -= step.xp; left.crown -= step.crown;
+          if (books) left.books[step.book.key] = books.left;
+          plan.reached[step.kind === 'level' ? 'levelCurrent' : `${step.talent}Current`] = step.to;
+          plan.steps.push({ ...step, mora, affordable:true });
+          continue;
+        }
+        plan.blocker.step = step;
+        plan.steps.push({ ...step, affordable:false, blocked:true });
+        continue;
+      }
+      plan.steps.push({ ...step, affordable:false });
+    }
+    return plan;
+  });
+  return { plans, left:{ ...left, hero:Math.floor(left.xp / HERO_XP) } };
+}
+
+// ------------------------------
+// 4-2) Completed steps & history log
+// A card offers the next budgetSteps() step of each track (level / NA / skill / burst); finishing one moves
+// <track>Current forward and logs what it used up. Entries are plain JSON (names and books copied) for localStorage.
+const HISTORY_TRACKS = ['level', ...TALENT_KEYS];
+const stepTrack = step => step.kind === 'level' ? 'level' : step.talent;
+
+// → { level?, na?, skill?, burst? }; talent steps past the current ascension phase's cap are locked in game, so not offered
+function nextSteps(it, steps = TALENT_COSTS){
+  const out = {};
+  const lv = parseLevel(it.levelCurrent);
+  const cap = TALENT_CAP_BY_PHASE[lv ? lv.phase : 0];
+  for (const step of budgetSteps(it, steps)){
+    const track = stepTrack(step);
+    if (!out[track] && !(step.kind === 'talent' && step.to > cap)) out[track] = step;
+  }
+  return Object.fromEntries(HISTORY_TRACKS.filter(k => out[k]).map(k => [k, out[k]]));
+}
+
+// One step's spend: calcLevelCost + ascension + endgame (level), calcTalentCost (talents), calcWeaponCost (weapons)
+function stepSpend(it, step, steps = TALENT_COSTS, lang = 'ko'){
+  const out = { mora:0, xp:0, hero:0, adventurer:0, wanderer:0, endgame:0, crown:0, ore:{ mystic:0, fine:0, basic:0 },
+    book:null, books:{ low:0, mid:0, high:0 }, materials:[] };
+  const pick = entries => entries.map(({ key, label, value }) => ({ key, label, value }));
+  if (it.kind === 'weapon'){
+    const w = calcWeaponCost({ ...it, levelCurrent:step.from, levelTarget:step.to });
+    return { ...out, mora:w.mora, ore:{ ...w.ore }, materials:pick(weaponMaterialEntries(it, w, lang)) };
+  }
+  if (step.kind === 'level'){
+    const lvl = calcLevelCost(step.from, step.to), asc = calcAscensionCost(step.from, step.to), end = calcEndgameCost(step.from, step.to);
+    return { ...out, mora:lvl.mora + asc.mora + end.mora, xp:lvl.xp, hero:lvl.hero, adventurer:lvl.adventurer, wanderer:lvl.wanderer,
+      endgame:end.material, materials:pick(materialEntries(it.materials, { ascension:asc }, lang)) };
+  }
+  const cost = calcTalentCost(step.from, step.to, steps);
+  const book = talentBookAt(it, step.talent, step.from);
+  return { ...out, mora:cost.mora, crown:cost.crown, books:{ ...cost.books },
+    book: book && { region:book.region, key:book.key, name_kr:book.name_kr, name_en:book.name_en },
+    materials:pick(materialEntries(it.materials, { common:cost.common, weekly:cost.weekly }, lang)) };
+}
+
+// Finished step → history entry { at, uid, id, kind, name, track, from, to, bonus, ...stepSpend }
+// from / to are base talent levels; bonus is the constellation boost the card showed them with
+function historyEntry(it, step, at = new Date(), steps = TALENT_COSTS, lang = 'ko'){
+  return { at:new Date(at).toISOString(), uid:it.uid, id:it.id, kind:it.kind || 'character', name:it.name,
+    track:stepTrack(step), from:step.from, to:step.to, bonus: step.kind === 'talent' ? talentBonus(it, step.talent) : 0,
+    ...stepSpend(it, step, steps, lang) };
+}
+
+// Local calendar date 'YYYY-MM-DD', and the Monday that starts its week
+const localDate = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+function weekStart(at){
+  const d = new Date(at);
+  d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+  return localDate(d);
+}
+
+// History → rows per week (newest first) or per character (most Mora first):
+// { key, id?, name?, steps, mora, xp, crown, books:{ low, mid, high } }
+function summarizeHistory(history, by = 'week'){
+  const rows = {};
+  for (const e of history){
+    const key = by === 'week' ? weekStart(e.at) : `${e.kind}:${e.id}`;
+    const row = rows[key] || (rows[key] = { key, ...(by === 'week' ? {} : { id:e.id, kind:e.kind, name:e.name }),
+      steps:0, mora:0, xp:0, crown:0, books:{ low:0, mid:0, high:0 } });
+    row.steps += 1; row.mora += e.mora || 0; row.xp += e.xp || 0; row.crown += e.crown || 0;
+    ['low', 'mid', 'high'].forEach(t => { row.books[t] += (e.books && e.books[t]) || 0; });
+  }
+  return Object.values(rows).sort(by === 'week' ? (a, b) => b.key.localeCompare(a.key) : (a, b) => b.mora - a.mora);
+}
+
+// ------------------------------
+// 4-3) Scenarios: the same roster against other target sets
+// A scenario is { name, targets:{ uid: { levelTarget, naTarget, ... } } } (a saved set of card targets)
+// or { name, talent:N } (every talent to at least N, base levels); cards it doesn't cover keep their own targets.
+const SCENARIO_FIELDS = ['levelTarget', ...TALENT_KEYS.map(k => `${k}Target`)];
+const SCENARIO_TALENTS = [6, 7, 8, 9, 10];
+
+// Current card targets → { uid: { levelTarget, ... } } (weapons: levelTarget only)
+function snapshotTargets(list){
+  return Object.fromEntries(list.map(it => [it.uid,
+    Object.fromEntries((it.kind === 'weapon' ? ['levelTarget'] : SCENARIO_FIELDS).map(f => [f, it[f]]))]));
+}
+
+// Scenario → targets for this roster
+function scenarioTargets(scenario, list){
+  if (!scenario.talent) return scenario.targets || {};
+  return Object.fromEntries(list.filter(it => it.kind !== 'weapon').map(it => [it.uid,
+    Object.fromEntries(TALENT_KEYS.map(k => [`${k}Target`, Math.max(it[`${k}Current`], scenario.talent)]))]));
+}
+
+// Roster with a scenario's targets copied in; character levels are raised to the phase the talents need (checkGoal)
+function applyScenario(list, scenario){
+  const targets = scenarioTargets(scenario, list);
+  return list.map(it => {
+    const set = targets[it.uid];
+    if (!set) return it;
+    const fields = it.kind === 'weapon' ? ['levelTarget'] : SCENARIO_FIELDS;
+    const next = { ...it, ...Object.fromEntries(fields.filter(f => set[f] !== undefined).map(f => [f, set[f]])) };
+    return it.kind === 'weapon' ? next : checkGoal(next).goal;
+  });
+}
+
+// Roster totals per scenario (null = the cards as they are) → { totals, rows:[{ key, kind, series?, tier?, values }] }
+// rows: Mora, Hero's Wit, Crowns, then every series of calcRosterTotals() by tier; all-zero rows dropped
+function compareScenarios(list, scenarios, steps = TALENT_COSTS){
+  const totals = scenarios.map(sc => calcRosterTotals(sc ? applyScenario(list, sc) : list, steps));
+  const rows = [
+    { key:'mora', kind:'mora', values: totals.map(t => t.sum.mora) },
+    { key:'hero', kind:'hero', values: totals.map(t => t.sum.hero) },
+    { key:'crown', kind:'crown', values: totals.map(t => t.sum.crown) }
+  ];
+  const series = {};
+  totals.forEach(t => Object.entries(t.seriesTotals).forEach(([key, st]) => { if (!series[key]) series[key] = st; }));
+  for (const [key, st] of Object.entries(series)){
+    for (const tier of ['teachings', 'guide', 'philosophies']){
+      rows.push({ key:`${key}/${tier}`, kind:'book', series:st, tier, values: totals.map(t => t.seriesTotals[key] ? t.seriesTotals[key].sums[tier] : 0) });
+    }
+  }
+  return { totals, rows: rows.filter(r => r.values.some(v => v > 0)) };
+}
+
+// ------------------------------
+// 5) Node export (the browser uses the globals above)
+if (typeof module === 'object' && module.exports){
+  module.exports = {
+    DAY_ALIAS, REGION_ALIAS, TALENT_BOOKS, SERIES_BY_KEY, TALENT_KEYS,
+    WEAPON_DOMAINS, WEAPON_DOMAIN_TIERS, WEAPON_DOMAIN_TIER_LABEL, ELITE_DROPS,
+    WEAPON_ORES, WEAPON_XP_PER_MORA, WEAPON_LEVEL_ANCHORS, WEAPON_LEVEL_MAX, WEAPON_COSTS, WEAPON_RARITIES, WEAPON_LEVEL_OPTIONS,
+    WEAPON_GOAL_FIELDS, DEFAULT_WEAPON_GOAL, normalizeWeapon, validateWeaponGoal, checkWeaponGoal, splitOre, calcWeaponCost, weaponMaterialEntries,
+    ELEMENT_ALIAS, ASCENSION_GEMS, ELEMENTS, GEM_BY_KEY, GEM_TIERS, GEM_TIER_LABEL, GEM_TIER_LABEL_KR, BOSS_DROPS, LOCAL_SPECIALTIES, COMMON_DROPS, COMMON_TIERS,
+    WEEKLY_BOSSES, WEEKLY_MATERIALS, weeklyBossOf, matLabel, gemLabel, tierLabel, MATERIAL_GROUPS,
+    LEVEL_XP, XP_LEVEL_MAX, ENDGAME_MATERIAL, ENDGAME_LEVEL_COSTS, LEVEL_MAX, EXP_BOOKS, XP_PER_MORA,
+    ASCENSION_COSTS, ASCENSION_CAPS, LEVEL_OPTIONS, levelLabel, parseLevel, CRAFT_RATIO, CRAFT_MORA,
+    GOAL_FIELDS, DEFAULT_GOAL, CONSTELLATION_MAX, BOOST_CONSTELLATIONS, TALENT_BOOST, TALENT_MAX,
+    talentBonus, toBaseTalent, toDisplayedTalent, makeTalentBook, normalizeTalentBooks, normalizeCharacter, validateGoal, normalizeTalentCosts,
+    TALENT_CAP_BY_PHASE, phaseForTalent, levelForPhase, checkGoal,
+    splitExp, calcLevelCost, calcEndgameCost, calcAscensionCost, calcTalentCost, talentBookAt, characterSeries, calcTalentBooks, calcBookShortfall,
+    materialEntries, calcCharacterCost, levelGroupRanges, levelGroupGoal, calcRosterTotals,
+    bookTierKey, calcCostBreakdown, calcWeaponBreakdown, totalsByKey,
+    HERO_XP, levelSteps, spendBooks, budgetSteps, allocateBudget,
+    HISTORY_TRACKS, nextSteps, stepSpend, historyEntry, weekStart, summarizeHistory,
+    SCENARIO_FIELDS, SCENARIO_TALENTS, snapshotTargets, scenarioTargets, applyScenario, compareScenarios
+  };
+}
@@ -1,23 +1,41 @@
 /*
 Genshin character JSON generator + sample data
 - Purpose: Automatically produce a JSON file containing playable Genshin characters with fields:
-  id, name_kr, name_en, element, weapon, region, talent_book_series, image
+  id, name_kr, name_en, element, weapon, region, day, image
+  (region / day come from the talent book series via TALENT_BOOKS in calc.js;
+   talent_book_series is only kept when the series name can't be resolved)
 - Image filename rule: images/<id>.png  (e.g. images/ayaka.png)
 
 USAGE (node.js):
-1) npm install node-fetch@2 cheerio
-2) node genshin_characters_generator.js
+1) npm install node-fetch@2 cheerio      (offline mode only needs cheerio)
+2) node genshin_characters_generator.js                        # live Game8 / Fandom
+   node genshin_characters_generator.js --offline <dir>        # saved HTML snapshots
+   (--out <file> to write somewhere other than ./characters.json)
+   An existing output file is merged in place (see Merge); --overwrite replaces it instead.
+
+Offline snapshot layout (save the pages from a browser, "HTML only" is enough):
+  <dir>/list.html                    Game8 characters list page
+  <dir>/characters/<Page_Name>.html  Fandom page per character, named like its URL (e.g. Hu_Tao.html)
 
 Notes:
 - Scrapes Game8 list page for candidate names, then opens each Fandom page to:
   (a) FILTER: keep only Playable characters
-  (b) EXTRACT: element/weapon/region/talent_book_series
-- If a site blocks scraping or structure changes, consider manual CSV->JSON.
+  (b) EXTRACT: element/weapon/region/talent_book_series/name_kr (Other Languages → Korean)
+- The result is checked with genshin_characters_validator.js; problems are printed and
+  the exit code is 1 when an entry can't be used by app.js as-is.
+- If a site blocks scraping or structure changes, save the pages and use --offline.
+
+Merge (existing characters.json):
+- Entries are matched by id, then loosely by id / name_en ('Hu Tao' = 'hutao'), and keep their existing id (saved plans refer to it)
+- Hand-edited name_kr / image are kept when set; other scraped fields are updated when found
+- Fields the scraper doesn't produce (boss, specialty, common, weekly_boss, ...) are left alone
+- Entries missing from the scrape are kept; new characters are appended
 */
 
 const fs = require('fs');
-const fetch = require('node-fetch');
-const cheerio = require('cheerio');
+const path = require('path');
+const calc = require('./calc.js');
+const { validateCharacters, printReport } = require('./genshin_characters_validator.js');
 
 // Config: change sourceUrl to preferred authoritative list (Game8 / Fandom list page)
 const sourceUrl = 'https://game8.co/games/Genshin-Impact/archives/296707'; // Game8 characters list (example)
@@ -26,7 +44,72 @@ const fandomBase = 'https://genshin-impact.fandom.com/wiki/';
 // polite delay between requests
 const sleep = (ms)=> new Promise(r=>setTimeout(r, ms));
 
+// CLI: --offline <dir> (read snapshots instead of fetching), --out <file>, --overwrite
+function parseArgs(argv){
+  const opts = { offline:'', out:'./characters.json', overwrite:false };
+  for (let i = 0; i < argv.length; i++){
+    if (argv[i] === '--offline') opts.offline = argv[++i] || '';
+    else if (argv[i] === '--out') opts.out = argv[++i] || opts.out;
+    else if (argv[i] === '--overwrite') opts.overwrite = true;
+  }
+  return opts;
+}
+
+// Series text as scraped ("Freedom", "Teachings of Freedom", "「자유」의 가르침") → bare lowercase name
+function seriesName(text){
+  return String(text || '').toLowerCase()
+    .replace(/teachings of|guide to|philosophies of|의\s*(가르침|인도|철학)/g, '')
+    .replace(/[^a-z\uAC00-\uD7A3]/g, '');
+}
+
+// Reverse index: series name (English / Korean) → { region, day, key }.
+// Names shared by more than one series are left out rather than guessed.
+function buildSeriesIndex(books = calc.TALENT_BOOKS){
+  const index = new Map(), ambiguous = new Set();
+  for (const [region, days] of Object.entries(books)){
+    for (const [day, book] of Object.entries(days)){
+      for (const name of new Set([book.name_en, book.name_kr].map(seriesName).filter(Boolean))){
+        if (index.has(name)) ambiguous.add(name);
+        else index.set(name, { region, day, key: book.key });
+      }
+    }
+  }
+  ambiguous.forEach(name => index.delete(name));
+  return index;
+}
+
+const SERIES_INDEX = buildSeriesIndex();
+const resolveSeries = text => SERIES_INDEX.get(seriesName(text)) || null;
+
+// Merge freshly scraped entries into an existing characters.json (see header)
+const KEEP_FIELDS = ['name_kr', 'image'];
+function mergeCharacters(existing, scraped){
+  const out = existing.map(c => ({ ...c }));
+  const report = { updated: [], added: [], kept: [] };
+  // 'Hu Tao' / 'hu_tao' / 'Hutao' all match 'hutao'
+  const loose = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const matches = (c, entry) => loose(c.id) === loose(entry.id) || (c.name_en && loose(c.name_en) === loose(entry.name_en));
+
+  for (const entry of scraped){
+    const target = out.find(c => c.id === entry.id) || out.find(c => matches(c, entry));
+    if (!target){ out.push(entry); report.added.push(entry.id); continue; }
+
+    const changed = [];
+    for (const [field, value] of Object.entries(entry)){
+      if (field === 'id' || value == null || value === '') continue;
+      if (KEEP_FIELDS.includes(field) && target[field]) continue;
+      if (target[field] !== value){ target[field] = value; changed.push(field); }
+    }
+    // resolved now → the raw series text is no longer needed
+    if (entry.talent_book_series == null && target.day && 'talent_book_series' in target){ delete target.talent_book_series; changed.push('talent_book_series'); }
+    if (changed.length) report.updated.push(`${target.id} (${changed.join(', ')})`);
+  }
+  report.kept = out.filter(c => !scraped.some(e => matches(c, e))).map(c => c.id);
+  return { characters: out, report };
+}
+
 async function fetchText(url){
+  const fetch = require('node-fetch'); // only needed online
   const res = await fetch(url, {
     headers: {
       'User-Agent':'genshin-json-generator/1.1 (+https://example.local)',
@@ -47,6 +130,26 @@ function makeId(name){
     .replace(/\s+/g,'_');
 }
 
+// Page sources: live (polite delay between requests) or local snapshot files
+function createSource(opts){
+  if (opts.offline){
+    const read = file => {
+      if (!fs.existsSync(file)) throw new Error(`snapshot not found: ${file}`);
+      return fs.readFileSync(file, 'utf8');
+    };
+    return {
+      label: `snapshots in ${opts.offline}`,
+      list: async () => read(path.join(opts.offline, 'list.html')),
+      page: async pageName => read(path.join(opts.offline, 'characters', `${pageName}.html`))
+    };
+  }
+  return {
+    label: sourceUrl,
+    list: () => fetchText(sourceUrl),
+    page: async pageName => { await sleep(250); return fetchText(fandomBase + encodeURIComponent(pageName)); }
+  };
+}
+
 // Heuristic: English/Korean letters allowed; avoid garbage anchors
 const NAME_REGEX = /^[A-Za-z\u00C0-\u017F\uAC00-\uD7A3'’\- ]{2,30}$/;
 
@@ -80,10 +183,25 @@ function isPlayable($$){
   return false;
 }
 
-(async ()=>{
+// "Other Languages" table → Korean name (drops romanization in brackets)
+function extractKoreanName($$){
+  let name = $$('#mw-content-text [lang="ko"]').first().text().trim();
+  if (!name){
+    $$('#mw-content-text table tr').each((_,tr)=>{
+      const cells = $$(tr).find('td, th');
+      if (!name && cells.first().text().trim().toLowerCase() === 'korean') name = cells.eq(1).text().trim();
+    });
+  }
+  return name.split('\n')[0].replace(/\s*[(\[].*$/, '').trim();
+}
+
+async function main(){
+  const cheerio = require('cheerio');
   try{
-    console.log('Fetching master list from', sourceUrl);
-    const html = await fetchText(sourceUrl);
+    const opts = parseArgs(process.argv.slice(2));
+    const source = createSource(opts);
+    console.log('Reading master list from', source.label);
+    const html = await source.list();
     const $ = cheerio.load(html);
 
     // Collect candidate names from the list page
@@ -107,14 +225,10 @@ function isPlayable($$){
 
     for(let i=0;i<limit;i++){
       const name = unique[i];
-      const urlName = encodeURIComponent(name.replace(/ /g, '_'));
-      const charUrl = fandomBase + urlName;
+      const pageName = name.replace(/ /g, '_');
 
       try{
-        // be polite to servers
-        await sleep(250);
-
-        const page = await fetchText(charUrl);
+        const page = await source.page(pageName);
         const $$ = cheerio.load(page);
 
         // Skip if not a playable character (filters out NPCs)
@@ -145,16 +259,20 @@ function isPlayable($$){
         });
 
         const id = makeId(name);
+        // book region wins over the character's nation (they differ for some characters)
+        const series = resolveSeries(talent_book_series);
         output.push({
           id,
           name_en: name,
-          name_kr: '', // fill via separate mapping if needed
+          name_kr: extractKoreanName($$), // empty when the page has no Korean name
           element: element || null,
           weapon: weapon || null,
-          region: region || null,
-          talent_book_series: talent_book_series || null,
+          region: series ? series.region : (calc.REGION_ALIAS[region.toLowerCase()] || region || null),
+          day: series ? series.day : null, // the validator flags entries left without one
+          ...(series ? {} : { talent_book_series: talent_book_series || null }),
           image: `images/${id}.png`
         });
+        if (!series) console.warn(`Unresolved talent book series for ${name}: "${talent_book_series}"`);
 
         console.log(`Added playable: ${name} (${id})`);
       }catch(err){
@@ -163,11 +281,28 @@ function isPlayable($$){
       }
     }
 
-    // write file
-    fs.writeFileSync('./characters.json', JSON.stringify(output, null, 2), 'utf8');
-    console.log('Wrote ./characters.json with', output.length, 'PLAYABLE entries.');
+    // merge into the existing file unless asked to overwrite
+    let result = output;
+    if (!opts.overwrite && fs.existsSync(opts.out)){
+      const { characters, report } = mergeCharacters(JSON.parse(fs.readFileSync(opts.out, 'utf8')), output);
+      result = characters;
+      console.log(`Merged into ${opts.out}: ${report.updated.length} updated, ${report.added.length} added, ${report.kept.length} kept as-is.`);
+      report.updated.forEach(u => console.log(`  updated ${u}`));
+      report.added.forEach(a => console.log(`  added   ${a}`));
+    }
+
+    // write file, then report what app.js would trip over
+    fs.writeFileSync(opts.out, JSON.stringify(result, null, 2) + '\n', 'utf8');
+    console.log(`Wrote ${opts.out} with`, result.length, 'entries.');
+    const report = validateCharacters(result, path.dirname(path.resolve(opts.out)));
+    printReport(opts.out, result.length, report);
+    if (report.errors.length) process.exitCode = 1;
   }catch(e){
     console.error('Fatal:', e);
     process.exit(1);
   }
-})();
+}
+
+module.exports = { seriesName, buildSeriesIndex, resolveSeries, mergeCharacters };
+
+if (require.main === module) main();
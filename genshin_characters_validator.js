@@ -0,0 +1,143 @@
+/*
+characters.json schema validator
+- Checks every entry the way app.js reads it (calc.js normalizeCharacter):
+  (a) ERROR:   id missing / not a slug / duplicated, name_en missing,
+               element without a gem family, region / day not resolving through
+               REGION_ALIAS / DAY_ALIAS to a TALENT_BOOKS series,
+               talent_books (Traveler: per-talent / per-level series) naming an unknown series
+               or leaving a talent without books; region / day are optional with talent_books,
+               c3 / c5 not one of na / skill / burst, or both boosting the same talent,
+               aliases (search nicknames) not an array of non-empty strings,
+               level_group (rows that level up together, e.g. the Traveler) not a non-empty string
+  (b) WARNING: name_kr empty (card falls back to name_en), image missing under images/, c3 / c5 missing,
+               an alias that is another character's name (search would rank it above the real one),
+               gem / boss / specialty / common / ascension_common / weekly_boss ids unknown to the material catalogs
+- Exit code 1 when there are errors (or warnings with --strict)
+
+USAGE (node.js, no extra packages):
+  node genshin_characters_validator.js [characters.json] [--strict]
+*/
+
+const fs = require('fs');
+const path = require('path');
+const calc = require('./calc.js');
+
+const ID_REGEX = /^[a-z0-9_]+$/;
+
+// Material fields → catalog they must exist in (null / missing is allowed: the row is just hidden)
+// gem / ascension_common override the element's gem and the talent common family for ascension
+const MATERIAL_FIELDS = {
+  gem:              calc.GEM_BY_KEY,
+  boss:             calc.BOSS_DROPS,
+  specialty:        calc.LOCAL_SPECIALTIES,
+  common:           calc.COMMON_DROPS,
+  ascension_common: calc.COMMON_DROPS,
+  weekly_boss:      calc.WEEKLY_MATERIALS
+};
+
+const TALENT_BOOK_FIELDS = [...calc.TALENT_KEYS, 'all'];
+
+const norm = v => (v == null ? '' : String(v)).trim().toLowerCase();
+
+// talent_books: { na|skill|burst|all: seriesKey | [seriesKey, ...] }
+function validateTalentBooks(books, err){
+  if (typeof books !== 'object' || Array.isArray(books)){ err('talent_books must be an object'); return; }
+  for (const [field, value] of Object.entries(books)){
+    if (!TALENT_BOOK_FIELDS.includes(field)){ err(`talent_books.${field} is not one of ${TALENT_BOOK_FIELDS.join(' / ')}`); continue; }
+    [].concat(value).forEach(k => { if (!calc.SERIES_BY_KEY[k]) err(`talent_books.${field}: unknown series '${k}'`); });
+  }
+  calc.TALENT_KEYS.filter(k => ![].concat(books[k] ?? books.all ?? []).length).forEach(k => err(`talent_books has no series for ${k} (or all)`));
+}
+
+// rows: parsed characters.json; root: directory that `image` paths are relative to
+function validateCharacters(rows, root = __dirname){
+  const errors = [], warnings = [];
+  if (!Array.isArray(rows)){
+    errors.push('characters.json must be an array');
+    return { errors, warnings };
+  }
+
+  // name_kr / name_en (spaces ignored) → character id
+  const names = new Map();
+  rows.forEach(c => {
+    if (!c || typeof c !== 'object') return;
+    [c.name_kr, c.name_en].forEach(n => { const k = norm(n).replace(/\s+/g, ''); if (k && !names.has(k)) names.set(k, c.id); });
+  });
+
+  const seen = new Map();
+  rows.forEach((c, i) => {
+    const at = `#${i + 1}${c && c.id ? ` (${c.id})` : ''}`;
+    const err = msg => errors.push(`${at}: ${msg}`);
+    const warn = msg => warnings.push(`${at}: ${msg}`);
+    if (!c || typeof c !== 'object'){ err('entry is not an object'); return; }
+
+    if (!c.id) err('missing id');
+    else if (!ID_REGEX.test(c.id)) err(`id '${c.id}' must be lowercase letters, digits and _`);
+    else if (seen.has(c.id)) err(`duplicate id (first seen at #${seen.get(c.id) + 1})`);
+    else seen.set(c.id, i);
+
+    if (!norm(c.name_en)) err('missing name_en');
+    if (!norm(c.name_kr)) warn('name_kr is empty (card shows name_en)');
+
+    const element = norm(c.element);
+    if (!calc.ELEMENTS.includes(calc.ELEMENT_ALIAS[element] || element)) err(`element '${c.element ?? ''}' has no gem family`);
+
+    if (c.talent_books != null) validateTalentBooks(c.talent_books, err);
+    if (c.talent_books == null || c.region != null || c.day != null){
+      const region = calc.REGION_ALIAS[norm(c.region)];
+      const day = calc.DAY_ALIAS[norm(c.day)];
+      if (!region) err(`region '${c.region ?? ''}' does not resolve through REGION_ALIAS`);
+      if (!day) err(`day '${c.day ?? ''}' does not resolve through DAY_ALIAS`);
+      if (region && day && !(calc.TALENT_BOOKS[region] && calc.TALENT_BOOKS[region][day])){
+        err(`no TALENT_BOOKS series for ${region} / ${day}`);
+      }
+    }
+
+    for (const n of calc.BOOST_CONSTELLATIONS){
+      const f = `c${n}`;
+      if (c[f] == null) warn(`${f} missing (constellation talent boost is ignored)`);
+      else if (!calc.TALENT_KEYS.includes(c[f])) err(`${f} '${c[f]}' must be one of ${calc.TALENT_KEYS.join(' / ')}`);
+    }
+    if (c.c3 != null && c.c3 === c.c5) err(`c3 and c5 both boost '${c.c3}'`);
+
+    if (c.aliases != null){
+      if (!Array.isArray(c.aliases) || c.aliases.some(a => typeof a !== 'string' || !a.trim())) err('aliases must be an array of non-empty strings');
+      else c.aliases.forEach(a => {
+        const owner = names.get(norm(a).replace(/\s+/g, ''));
+        if (owner && owner !== c.id) warn(`alias '${a}' is ${owner}'s name`);
+      });
+    }
+
+    if (c.level_group != null && (typeof c.level_group !== 'string' || !c.level_group.trim())) err('level_group must be a non-empty string');
+
+    if (!c.image) warn('missing image');
+    else if (!/^images\//.test(c.image)) warn(`image '${c.image}' is outside images/`);
+    else if (!fs.existsSync(path.join(root, c.image))) warn(`image '${c.image}' not found`);
+
+    for (const [field, catalog] of Object.entries(MATERIAL_FIELDS)){
+      if (c[field] != null && !catalog[c[field]]) warn(`${field} '${c[field]}' is not in the material catalog`);
+    }
+  });
+  return { errors, warnings };
+}
+
+function printReport(label, count, { errors, warnings }){
+  console.log(`${label}: ${count} entries, ${errors.length} error(s), ${warnings.length} warning(s)`);
+  errors.forEach(e => console.log(`  ERROR   ${e}`));
+  warnings.forEach(w => console.log(`  WARNING ${w}`));
+}
+
+module.exports = { validateCharacters, printReport };
+
+if (require.main === module){
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const file = args.find(a => !a.startsWith('--')) || path.join(__dirname, 'characters.json');
+  let rows;
+  try { rows = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { console.error(`Failed to read ${file}: ${e.message}`); process.exit(1); }
+
+  const report = validateCharacters(rows, path.dirname(path.resolve(file)));
+  printReport(path.basename(file), Array.isArray(rows) ? rows.length : 0, report);
+  if (report.errors.length || (strict && report.warnings.length)) process.exit(1);
+}
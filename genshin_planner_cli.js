@@ -0,0 +1,235 @@
+/*
+Genshin planner CLI — roster file → material totals (same numbers as the web totals panel)
+- Loads characters.json + book_cost.json + weapons.json and the calculators in calc.js (no browser needed)
+- Roster file: JSON (array, or a plan exported from the web page: { roster:[...] }) or CSV with a header row
+  Entry fields: id (or name: Korean / English name), levelCurrent, levelTarget,
+                naCurrent, naTarget, skillCurrent, skillTarget, burstCurrent, burstTarget, constellation
+  Talent levels are base levels (1~10, without the C3 / C5 +3); constellation 0~6 is kept for the web page.
+  Missing fields fall back to the web defaults (Lv.1 → 90, talents 1 → 6). Levels accept 80 / 80+ / 80✦.
+  Like the web cards, levelTarget is raised to the ascension phase the talent targets need
+  (talent 10 needs 80✦); inverted ranges are reported on stderr and cost nothing.
+  Weapons: kind=weapon, id (or name), levelCurrent, levelTarget (ascension anchors: 1, 20, 20+, … 80+, 90)
+
+USAGE (node.js, no extra packages):
+  node genshin_planner_cli.js <roster.json|roster.csv> [--format table|json|csv] [--lang ko|en] [--data <dir>]
+
+  --format  table (default) | json | csv
+  --lang    ko (default) | en — names and labels, from the web page's string catalog (i18n.js)
+  --data    directory holding characters.json / book_cost.json / weapons.json (default: this script's directory)
+
+Examples:
+  node genshin_planner_cli.js plan.json
+  node genshin_planner_cli.js roster.csv --format csv --lang en > weekly.csv
+*/
+
+const fs = require('fs');
+const path = require('path');
+const calc = require('./calc.js');
+const { LANGUAGES, t, setLanguage } = require('./i18n.js');
+
+const FORMATS = ['table', 'json', 'csv'];
+const BOOK_TIERS = { teachings:'low', guide:'mid', philosophies:'high' };
+
+function usage(message){
+  if (message) console.error(message);
+  console.error('Usage: node genshin_planner_cli.js <roster.json|roster.csv> [--format table|json|csv] [--lang ko|en] [--data <dir>]');
+  process.exit(message ? 1 : 0);
+}
+
+function parseArgs(argv){
+  const opts = { format:'table', lang:'ko', data:__dirname, roster:'' };
+  for (let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') usage();
+    else if (arg === '--format' || arg === '-f') opts.format = argv[++i];
+    else if (arg.startsWith('--format=')) opts.format = arg.slice('--format='.length);
+    else if (arg === '--lang') opts.lang = argv[++i];
+    else if (arg.startsWith('--lang=')) opts.lang = arg.slice('--lang='.length);
+    else if (arg === '--data') opts.data = argv[++i];
+    else if (arg.startsWith('--data=')) opts.data = arg.slice('--data='.length);
+    else if (arg.startsWith('-')) usage(`Unknown option: ${arg}`);
+    else opts.roster = arg;
+  }
+  if (!opts.roster) usage('Missing roster file.');
+  if (!FORMATS.includes(opts.format)) usage(`Unknown format: ${opts.format} (${FORMATS.join(' | ')})`);
+  if (!LANGUAGES[opts.lang]) usage(`Unknown language: ${opts.lang} (${Object.keys(LANGUAGES).join(' | ')})`);
+  return opts;
+}
+
+const readJSON = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Minimal CSV: header row, comma separated, optional double quotes
+function parseCSV(text){
+  const rows = text.split(/\r?\n/).filter(l => l.trim()).map(line => {
+    const cells = []; let cur = '', quoted = false;
+    for (let i = 0; i < line.length; i++){
+      const ch = line[i];
+      if (quoted){
+        if (ch === '"' && line[i+1] === '"'){ cur += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cur += ch;
+      }
+      else if (ch === '"') quoted = true;
+      else if (ch === ','){ cells.push(cur.trim()); cur = ''; }
+      else cur += ch;
+    }
+    cells.push(cur.trim());
+    return cells;
+  });
+  const [header = [], ...body] = rows;
+  return body.map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i] === '' ? undefined : cells[i]])));
+}
+
+function readRoster(file){
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.csv$/i.test(file)) return parseCSV(text);
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.roster)) return data.roster;
+  throw new Error(`${file}: expected a JSON array or an object with a "roster" array`);
+}
+
+function findCharacter(characters, entry){
+  const q = String(entry.id || entry.name || '').trim().toLowerCase();
+  if (!q) return null;
+  return characters.find(c => c.id === q)
+      || characters.find(c => c.name.toLowerCase() === q || c.name_en.toLowerCase() === q)
+      || null;
+}
+
+const GOAL_ERROR_TEXT = {
+  level:         () => `must be a level 1~${calc.LEVEL_MAX} or ${calc.ASCENSION_CAPS.map(c => c + '✦').join('/')}`,
+  talent:        () => 'must be between 1 and 10',
+  constellation: () => `must be between 0 and ${calc.CONSTELLATION_MAX}`,
+  weaponLevel:   () => `must be one of ${calc.WEAPON_LEVEL_OPTIONS.map(calc.levelLabel).join('/')}`
+};
+
+const GOAL_ISSUE_TEXT = {
+  raised:   i => `levelTarget raised ${calc.levelLabel(i.from)} → ${calc.levelLabel(i.to)} (talent targets need ascension phase ${i.phase})`,
+  inverted: i => `${i.field} is below the current value (costs nothing)`,
+  gate:     i => `${i.field} is above talent level ${i.max}, the cap at the current ascension phase`
+};
+
+// Roster entries → calculator items; every problem is collected before giving up.
+// Weapons (kind=weapon) may repeat; characters may not.
+// Goal issues (checkGoal) are notes: the list still uses the raised level target.
+function buildList(characters, entries, weapons = []){
+  const list = [], errors = [], notes = [];
+  entries.forEach((entry, i) => {
+    const at = `#${i + 1}`;
+    const weapon = String((entry && entry.kind) || '').toLowerCase() === 'weapon';
+    const found = findCharacter(weapon ? weapons : characters, entry || {});
+    if (!found){ errors.push(`${at}: unknown ${weapon ? 'weapon' : 'character'} '${(entry && (entry.id || entry.name)) || ''}'`); return; }
+    if (!weapon && list.some(x => x.id === found.id && x.kind !== 'weapon')){ errors.push(`${at}: duplicate character '${found.id}'`); return; }
+    const { goal, errors: goalErrors } = weapon ? calc.validateWeaponGoal(entry) : calc.validateGoal(entry);
+    goalErrors.forEach(e => errors.push(`${at} (${found.id}): ${e.field} '${e.value}' — ${GOAL_ERROR_TEXT[e.kind]()}`));
+    if (goalErrors.length){ list.push({ ...found, ...goal }); return; }
+    const checked = weapon ? calc.checkWeaponGoal(goal) : calc.checkGoal(goal);
+    checked.issues.forEach(i => notes.push(`${at} (${found.id}): ${GOAL_ISSUE_TEXT[i.kind](i)}`));
+    list.push({ ...found, ...checked.goal });
+  });
+  return { list, errors, notes };
+}
+
+// Names and labels in the --lang language (t() follows setLanguage)
+const localName = (x, lang) => (lang === 'en' && x.name_en) || x.name;
+const seriesName = (st, lang) => (lang === 'en' && st.nameEn) || st.nameKr;
+
+// Totals → flat rows { section, key, label, value } shared by every output format (labels: i18n.js)
+function totalsRows(totals, lang = 'ko'){
+  const { sum, seriesTotals, matTotals } = totals;
+  const rows = [];
+  const push = (section, key, label, value) => rows.push({ section, key, label, value });
+
+  push('total', 'mora', t('total.mora'), sum.mora);
+  push('total', 'xp', t('total.exp'), sum.xp);
+  push('total', 'hero', t('total.hero'), sum.hero);
+  push('total', 'adventurer', t('total.adventurer'), sum.adventurer);
+  push('total', 'wanderer', t('total.wanderer'), sum.wanderer);
+  push('total', 'xp_leftover', t('total.leftover'), sum.xpLeftover);
+  if (sum.endgame) push('total', calc.ENDGAME_MATERIAL.key, t('total.endgame', { name: calc.matLabel(calc.ENDGAME_MATERIAL, lang) }), sum.endgame);
+  for (const ore of calc.WEAPON_ORES){
+    if (sum.ore[ore.key]) push('total', `ore_${ore.key}`, calc.matLabel(ore, lang), sum.ore[ore.key]);
+  }
+  push('total', 'crown', t('total.crown'), sum.crown);
+
+  for (const st of Object.values(seriesTotals)){
+    for (const [tier, level] of Object.entries(BOOK_TIERS)){
+      push('books', `${st.region}_${st.key}_${tier}`, t(`book.${level}`, { name: seriesName(st, lang) }), st.sums[tier]);
+    }
+  }
+
+  for (const g of calc.MATERIAL_GROUPS){
+    Object.values(matTotals).filter(e => e.group === g.key).forEach(e => push(g.key, e.key, e.label, e.value));
+  }
+  for (const [bossKey] of Object.entries(calc.WEEKLY_BOSSES)){
+    Object.values(matTotals).filter(e => e.group === 'weekly' && e.boss === bossKey).forEach(e => push('weekly', e.key, e.label, e.value));
+  }
+  return rows;
+}
+
+const sectionLabel = section => t(['total', 'books', 'weekly'].includes(section) ? `cli.${section}` : `group.${section}`);
+
+// East Asian characters take two terminal columns
+const width = s => Array.from(String(s)).reduce((a, ch) => a + (/[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFF00-\uFF60]/.test(ch) ? 2 : 1), 0);
+const padEnd = (s, n) => s + ' '.repeat(Math.max(0, n - width(s)));
+
+function formatTable(list, rows){
+  const fmt = n => n.toLocaleString('en-US');
+  const labelWidth = Math.max(...rows.map(r => width(r.label)), 10);
+  const chars = list.filter(c => c.kind !== 'weapon'), weapons = list.filter(c => c.kind === 'weapon');
+  const out = [t('cli.characters', { count: chars.length, names: chars.map(c => c.name).join(', ') || '-' })];
+  if (weapons.length) out.push(t('cli.weapons', { count: weapons.length, names: weapons.map(w => w.name).join(', ') }));
+  let section = '';
+  for (const r of rows){
+    if (r.section !== section){ section = r.section; out.push('', `[${sectionLabel(section)}]`); }
+    out.push(`  ${padEnd(r.label, labelWidth)}  ${fmt(r.value).padStart(12)}`);
+  }
+  return out.join('\n');
+}
+
+function formatCSV(rows){
+  const cell = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return ['section,key,label,value', ...rows.map(r => [r.section, r.key, r.label, r.value].map(cell).join(','))].join('\n');
+}
+
+function formatJSON(list, totals, lang = 'ko'){
+  const { sum, seriesTotals, matTotals } = totals;
+  return JSON.stringify({
+    characters: list.filter(c => c.kind !== 'weapon').map(c => ({ id:c.id, name:c.name, ...Object.fromEntries(calc.GOAL_FIELDS.map(f => [f, c[f]])) })),
+    weapons: list.filter(w => w.kind === 'weapon').map(w => ({ id:w.id, name:w.name, rarity:w.rarity, ...Object.fromEntries(calc.WEAPON_GOAL_FIELDS.map(f => [f, w[f]])) })),
+    total: { ...sum },
+    series: Object.values(seriesTotals).map(st => ({ key:st.key, name:seriesName(st, lang), region:st.region, day:st.day, characters:st.chars, ...st.sums })),
+    materials: Object.values(matTotals).map(({ key, group, boss, label, value }) => ({ key, group, ...(boss ? { boss } : {}), label, value }))
+  }, null, 2);
+}
+
+function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  let characters, weapons, steps, entries;
+  try {
+    characters = readJSON(path.join(opts.data, 'characters.json')).map(calc.normalizeCharacter);
+    weapons = readJSON(path.join(opts.data, 'weapons.json')).map(calc.normalizeWeapon);
+    steps = calc.normalizeTalentCosts(readJSON(path.join(opts.data, 'book_cost.json')));
+    entries = readRoster(opts.roster);
+  } catch (e) {
+    console.error(`Failed to read input: ${e.message}`);
+    process.exit(1);
+  }
+
+  const { list: built, errors, notes } = buildList(characters, entries, weapons);
+  if (errors.length){
+    console.error(`Invalid roster (${errors.length}):\n- ${errors.join('\n- ')}`);
+    process.exit(1);
+  }
+  if (notes.length) console.error(`Goal notes (${notes.length}):\n- ${notes.join('\n- ')}`);
+
+  setLanguage(opts.lang);
+  const list = built.map(x => ({ ...x, name: localName(x, opts.lang) }));
+  const totals = calc.calcRosterTotals(list, steps, opts.lang);
+  if (opts.format === 'json') console.log(formatJSON(list, totals, opts.lang));
+  else if (opts.format === 'csv') console.log(formatCSV(totalsRows(totals, opts.lang)));
+  else console.log(formatTable(list, totalsRows(totals, opts.lang)));
+}
+
+main();
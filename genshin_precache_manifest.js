@@ -0,0 +1,80 @@
+/*
+Offline precache manifest for sw.js
+- Lists what the page needs offline: index.html, scripts, styles.css, manifest.webmanifest,
+  the JSON data app.js loads and every file under images/
+- PRECACHE_VERSION = first 12 hex chars of a SHA-256 over those paths + contents, so any data,
+  code or image change gives sw.js new bytes → browsers install a fresh cache
+- Rewrites the block between the manifest markers in sw.js (nothing else in the file)
+
+USAGE (node.js, no extra packages):
+  node genshin_precache_manifest.js            # update sw.js
+  node genshin_precache_manifest.js --check    # exit 1 when sw.js is out of date (nothing written)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = __dirname;
+const SW_FILE = 'sw.js';
+const APP_FILES = ['./', 'index.html', 'manifest.webmanifest', 'styles.css', 'calc.js', 'i18n.js', 'search.js', 'app.js',
+  'characters.json', 'book_cost.json', 'weapons.json'];
+const MANIFEST_START = '// precache manifest: generated by genshin_precache_manifest.js, do not edit by hand';
+const MANIFEST_END   = '// end of precache manifest';
+
+// images/** as forward-slash paths, sorted (stable across platforms)
+function listImages(root = ROOT, dir = 'images'){
+  const abs = path.join(root, dir);
+  if (!fs.existsSync(abs)) return [];
+  return fs.readdirSync(abs, { withFileTypes:true }).flatMap(e => {
+    const rel = `${dir}/${e.name}`;
+    return e.isDirectory() ? listImages(root, rel) : [rel];
+  }).sort();
+}
+
+// → { version, files }; './' is the page itself (hashed as index.html)
+function buildManifest(root = ROOT){
+  const files = [...APP_FILES, ...listImages(root)];
+  const hash = crypto.createHash('sha256');
+  for (const file of files){
+    if (file === './') continue;
+    hash.update(`${file}\n`);
+    hash.update(fs.readFileSync(path.join(root, file)));
+  }
+  return { version: hash.digest('hex').slice(0, 12), files };
+}
+
+function renderManifest({ version, files }){
+  return [
+    MANIFEST_START,
+    `const PRECACHE_VERSION = '${version}';`,
+    'const PRECACHE_FILES = [',
+    ...files.map((f, i) => `  '${f}'${i < files.length - 1 ? ',' : ''}`),
+    '];',
+    MANIFEST_END
+  ].join('\n');
+}
+
+// sw.js text with the manifest block replaced (throws when the markers are missing)
+function updateServiceWorker(source, manifest){
+  const start = source.indexOf(MANIFEST_START), end = source.indexOf(MANIFEST_END);
+  if (start < 0 || end < start) throw new Error(`${SW_FILE}: precache manifest markers not found`);
+  return source.slice(0, start) + renderManifest(manifest) + source.slice(end + MANIFEST_END.length);
+}
+
+module.exports = { APP_FILES, listImages, buildManifest, renderManifest, updateServiceWorker };
+
+if (require.main === module){
+  const check = process.argv.includes('--check');
+  const file = path.join(ROOT, SW_FILE);
+  const manifest = buildManifest();
+  const source = fs.readFileSync(file, 'utf8');
+  const next = updateServiceWorker(source, manifest);
+  if (check){
+    if (next !== source){ console.error(`${SW_FILE} is out of date: run node genshin_precache_manifest.js`); process.exit(1); }
+    console.log(`${SW_FILE} is up to date (${manifest.version}, ${manifest.files.length} files)`);
+  } else {
+    fs.writeFileSync(file, next);
+    console.log(`${SW_FILE}: ${manifest.version}, ${manifest.files.length} files`);
+  }
+}
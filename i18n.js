@@ -0,0 +1,449 @@
+/* i18n.js — UI string catalog (Korean / English), loaded before app.js
+ * - t('key', { param }) → current language, falls back to Korean, then to the key itself
+ * - index.html marks static text with data-i18n / data-i18n-placeholder / data-i18n-title
+ * - LANGUAGES[lang].locale drives number / date formatting (fmt in app.js)
+ * - genshin_planner_cli.js labels its table / CSV rows from the same catalog (--lang)
+ */
+
+const LANGUAGES = {
+  ko: { label:'한국어',  locale:'ko-KR' },
+  en: { label:'English', locale:'en-US' }
+};
+const DEFAULT_LANG = 'ko';
+let LANG = DEFAULT_LANG;
+
+const STRINGS = {
+  ko: {
+    'doc.title':            '캐릭터 육성 총 재화 계산',
+    'app.title':            '캐릭터 육성 총 재화 계산기',
+    'search.placeholder':   '캐릭터·무기 검색/추가 (이름·초성·별명)',
+    'btn.add':              '목록에 추가',
+    'btn.clear':            '모두 삭제',
+    'btn.planNew':          '새 플랜',
+    'btn.planRename':       '이름 변경',
+    'btn.planDelete':       '플랜 삭제',
+    'btn.export':           '내보내기',
+    'btn.import':           '가져오기',
+    'btn.share':            '링크 복사',
+    'plan.selectTitle':     '플랜 선택',
+    'lang.title':           '언어',
+
+    'schedule.title':       '비경 파밍 일정',
+    'schedule.today':       '오늘',
+    'schedule.week':        '이번 주',
+    'schedule.server':      '서버 (초기화 시간대)',
+    'schedule.todayHead':   '오늘 ({day}요일, {server} 04:00 기준)',
+    'schedule.sunday':      ' · 일요일: 모든 비경 개방',
+    'schedule.regionTitle': '{region} 특성 비경',
+    'schedule.none':        '오늘 열린 비경 중 목록의 캐릭터가 필요한 책이 없습니다.',
+    'schedule.short':       '부족: {parts}',
+    'schedule.enough':      '보유량 충분',
+
+    'estimate.title':       '레진 · 소요 일수 예측',
+    'estimate.natural':     '자연 회복',
+    'estimate.condensed':   '농축 레진',
+    'estimate.fragile':     '레진 결정',
+    'estimate.domain':      '{name} 특성 비경',
+    'estimate.runs':        '{runs}회 · 레진 {resin}',
+    'estimate.leyMora':     '모라 지맥',
+    'estimate.leyExp':      '경험치 지맥',
+    'estimate.totalResin':  '총 레진',
+    'estimate.dailyResin':  '하루 레진',
+    'estimate.eta':         '예상 소요',
+    'estimate.days':        '{days}일 ({date} 완료 예상)',
+    'estimate.enough':      '이미 충분',
+
+    'cards.empty':          '캐릭터나 무기를 추가해 육성 목표를 설정하세요.',
+    'card.levelCurrent':    '현재 레벨',
+    'card.naCurrent':       '현재 일반공격',
+    'card.skillCurrent':    '현재 원소전투',
+    'card.burstCurrent':    '현재 원소폭발',
+    'card.levelTarget':     '목표 레벨',
+    'card.naTarget':        '목표 일반공격',
+    'card.skillTarget':     '목표 원소전투',
+    'card.burstTarget':     '목표 원소폭발',
+    'picker.title':         '캐릭터 찾기',
+    'picker.hint':          '이름·초성(ㅎㄷ)·별명으로 검색하거나 필터를 고르면 여러 명을 골라 한 번에 추가할 수 있습니다.',
+    'picker.empty':         '조건에 맞는 캐릭터·무기가 없습니다.',
+    'picker.more':          '외 {count}개 — 검색어나 필터를 좁혀 보세요.',
+    'picker.add':           '선택 추가',
+    'picker.addCount':      '선택 추가 ({count})',
+    'filter.element':       '원소',
+    'filter.weapon':        '무기',
+    'filter.region':        '지역',
+    'filter.day':           '요일',
+    'filter.any':           '{facet} 전체',
+    'sort.title':           '정렬',
+    'sort.added':           '우선순위순',
+    'sort.name':            '이름순',
+    'sort.element':         '원소순',
+    'sort.weapon':          '무기순',
+    'sort.region':          '지역순',
+    'sort.day':             '요일순',
+    'cardGroup.title':      '묶기',
+    'cardGroup.off':        '묶지 않음',
+    'cardGroup.other':      '기타',
+    'element.pyro': '불', 'element.hydro': '물', 'element.electro': '번개', 'element.cryo': '얼음',
+    'element.dendro': '풀', 'element.anemo': '바람', 'element.geo': '바위',
+    'weaponType.sword': '한손검', 'weaponType.claymore': '양손검', 'weaponType.polearm': '장병기',
+    'weaponType.catalyst': '법구', 'weaponType.bow': '활',
+    'bookday.mon': '월·목', 'bookday.tue': '화·금', 'bookday.wed': '수·토',
+    'breakdown.title':      '재료 상세',
+    'breakdown.level':      '레벨·돌파',
+    'breakdown.na':         '일반공격',
+    'breakdown.skill':      '원소전투',
+    'breakdown.burst':      '원소폭발',
+    'breakdown.none':       '필요한 재료가 없습니다.',
+    'breakdown.share':      '전체 필요량 {total} 중 {pct}',
+    'card.moveUp':          '우선순위 올리기 (끌어서 옮겨도 됩니다)',
+    'card.moveDown':        '우선순위 내리기',
+    'budget.title':         '예산 배분 (우선순위순)',
+    'budget.hint':          '보유 재화 입력의 모라·보라책·왕관·특성 책을 예산으로, 카드 순서대로 레벨 → 특성 단계를 채웁니다. 이 네 가지만 계산하며 원소 보석·보스 재료·특산물·몬스터 재료·주간 보스 재료·광석은 보유량을 확인하지 않습니다.',
+    'budget.empty':         '카드를 추가하면 예산 배분이 표시됩니다.',
+    'budget.done':          '목표까지 모두 가능 (모라·보라책·왕관·책 기준)',
+    'budget.reached':       'Lv.{level} · 특성 {na}/{skill}/{burst}까지 가능',
+    'budget.reachedWeapon': 'Lv.{level}까지 가능',
+    'budget.steps':         '{ok}/{all}단계',
+    'budget.blocked':       '{step}: {material} 부족 (필요 {need}, 남음 {have})',
+    'budget.stepLevel':     'Lv.{from} → {to}',
+    'budget.stepTalent':    '{talent} {from} → {to}',
+    'budget.left':          '남는 예산: 모라 {mora} · 영웅의 경험 {hero} · 왕관 {crown}',
+    'done.step':            '✓ {step}',
+    'done.title':           '완료: 현재 값을 올리고 쓴 재료를 육성 기록에 남깁니다',
+    'scenario.title':       '시나리오 비교',
+    'scenario.hint':        '같은 카드 목록에 다른 목표를 적용했을 때의 총 재화를 현재 카드와 나란히 비교합니다. 괄호 안은 현재 카드 대비 차이입니다.',
+    'scenario.empty':       '특성 일괄 목표나 현재 목표를 시나리오로 추가하세요.',
+    'scenario.talent':      '특성 {n}/{n}/{n}',
+    'scenario.talentTitle': '모든 캐릭터의 특성 목표 (현재보다 낮으면 현재 레벨, 필요한 돌파까지 레벨 목표 상향)',
+    'scenario.addTalent':   '추가',
+    'scenario.save':        '현재 목표 저장',
+    'scenario.namePrompt':  '시나리오 이름',
+    'scenario.defaultName': '시나리오 {n}',
+    'scenario.exists':      '같은 시나리오가 이미 있습니다.',
+    'scenario.current':     '현재 카드',
+    'scenario.apply':       '적용',
+    'scenario.applyTitle':  '이 시나리오의 목표를 카드에 복사합니다',
+    'scenario.remove':      '시나리오 삭제',
+    'history.title':        '육성 기록',
+    'history.hint':         '카드의 ✓ 완료 버튼으로 끝낸 단계와 그때 쓴 재료가 날짜와 함께 쌓입니다.',
+    'history.empty':        '아직 완료한 단계가 없습니다.',
+    'history.byWeek':       '주별',
+    'history.byCharacter':  '캐릭터별',
+    'history.week':         '{date} 주',
+    'history.steps':        '{n}단계',
+    'history.books':        '가르침 {low} · 인도 {mid} · 철학 {high}',
+    'history.recent':       '최근 기록',
+    'history.undo':         '되돌리기',
+    'history.undoTitle':    '기록을 지우고, 카드가 아직 이 단계에 있으면 현재 값도 되돌립니다',
+    'history.csv':          'CSV 내보내기',
+    'history.clear':        '기록 지우기',
+    'history.clearConfirm': '육성 기록 {n}건을 모두 지울까요? (카드의 현재 값은 그대로입니다)',
+    'card.remove':          '삭제',
+    'card.constellation':   '별자리 (C3 / C5: 특성 +3, 표시 레벨로 선택)',
+    'card.boosted':         '별자리 +{bonus} 적용 (표시 레벨)',
+    'card.inverted':        '{field}: 현재보다 낮습니다.',
+    'card.raised':          '{field}: 특성 목표에 필요한 {phase}돌파에 맞춰 {from} → {to}(으)로 올렸습니다.',
+    'card.gate':            '{field}: 현재 돌파 단계에서는 특성 레벨 {max}까지만 가능합니다.',
+    'card.levelShared':     '레벨·돌파는 모든 원소가 함께 쓰므로 {name} 카드에 한 번만 계산합니다.',
+
+    'totals.title':         '총 필요 재화',
+    'total.mora':           '모라',
+    'total.exp':            '경험치',
+    'total.hero':           '보라책(영웅의 경험)',
+    'total.adventurer':     '파랑책(모험가의 경험)',
+    'total.wanderer':       '초록책(방랑자의 경험)',
+    'total.leftover':       '남는 경험치',
+    'total.endgame':        '{name} (Lv.90+)',
+    'total.crown':          '왕관',
+    'crown.warning':        '왕관이 {need}개 필요하지만 보유는 {own}개입니다 ({short}개 부족): {names}',
+    'group.gem':            '원소 보석',
+    'group.boss':           '보스 재료',
+    'group.specialty':      '지역 특산물',
+    'group.common':         '몬스터 재료',
+    'group.weapon':         '무기 돌파 재료',
+    'group.elite':          '정예 몬스터 재료',
+    'group.weekly':         '주간 보스 · {name} ({count}개)',
+    'inventory.summary':    '보유 재화 입력',
+    'inventory.hero':       '영웅의 경험',
+
+    'tier.low':             '가르침',
+    'tier.mid':             '인도',
+    'tier.high':            '철학',
+    'book.low':             '{name}의 가르침',
+    'book.mid':             '{name}의 인도',
+    'book.high':            '{name}의 철학',
+
+    'cli.characters':       '캐릭터 {count}명: {names}',
+    'cli.weapons':          '무기 {count}개: {names}',
+    'cli.total':            '합계',
+    'cli.books':            '특성 책',
+    'cli.weekly':           '주간 보스 재료',
+
+    'region.mond':          '몬드',
+    'region.liyue':         '리월',
+    'region.inazuma':       '이나즈마',
+    'region.sumeru':        '수메르',
+    'region.fontaine':      '폰타인',
+    'region.natlan':        '나타',
+    'weekday.0': '일', 'weekday.1': '월', 'weekday.2': '화', 'weekday.3': '수',
+    'weekday.4': '목', 'weekday.5': '금', 'weekday.6': '토',
+    'server.asia':          '아시아 (UTC+8)',
+    'server.europe':        '유럽 (UTC+1)',
+    'server.america':       '미국 (UTC-5)',
+    'server.tw_hk_mo':      'TW·HK·MO (UTC+8)',
+
+    'add.unknown':          '목록에 없는 캐릭터/무기입니다. (characters.json / weapons.json을 확인하세요)',
+    'add.duplicate':        '이미 목록에 있는 캐릭터입니다.',
+    'clear.confirm':        '모든 캐릭터를 삭제할까요?',
+    'plan.default':         '기본 플랜',
+    'plan.exists':          '같은 이름의 플랜이 이미 있습니다.',
+    'plan.newPrompt':       '새 플랜 이름 (예: 나선 비경 팀)',
+    'plan.renamePrompt':    '플랜 이름 변경',
+    'plan.deleteConfirm':   "'{name}' 플랜을 삭제할까요?",
+    'plan.shared':          '공유된 플랜',
+    'share.copied':         '공유 링크를 복사했습니다.',
+    'share.prompt':         '공유 링크',
+    'load.failed':          '데이터 로딩 실패: 로컬 서버에서 실행 중인지 확인해주세요. (한 번 온라인으로 열면 이후에는 오프라인에서도 열립니다)',
+
+    'import.failed':        '가져오기 실패 ({count}건)',
+    'import.notArray':      '캐릭터 목록(roster)이 배열이 아닙니다.',
+    'import.item':          '{n}번째 항목',
+    'import.unknownId':     "{at}: 알 수 없는 캐릭터 id '{id}'",
+    'import.unknownWeapon': "{at}: 알 수 없는 무기 id '{id}'",
+    'import.duplicate':     "{at}: '{name}'이(가) 중복되었습니다.",
+    'import.badJSON':       'JSON 형식이 아닙니다: {message}',
+    'import.badFormat':     '지원하지 않는 파일 형식입니다.',
+    'import.newer':         '더 최신 버전({version})의 파일입니다.',
+    'goal.badLevel':        "{field} '{value}' — 1~{max} 레벨 또는 {caps}만 가능합니다.",
+    'goal.badTalent':       "{field} '{value}' — 1~10 사이여야 합니다.",
+    'goal.badWeaponLevel':  "{field} '{value}' — 무기 레벨은 {levels} 중 하나여야 합니다.",
+    'goal.badConstellation': "{field} '{value}' — 0~{max} 사이여야 합니다."
+  },
+
+  en: {
+    'doc.title':            'Character Build Material Calculator',
+    'app.title':            'Character Build Material Calculator',
+    'search.placeholder':   'Search / add character or weapon (name, initials, nickname)',
+    'btn.add':              'Add to list',
+    'btn.clear':            'Clear all',
+    'btn.planNew':          'New plan',
+    'btn.planRename':       'Rename',
+    'btn.planDelete':       'Delete plan',
+    'btn.export':           'Export',
+    'btn.import':           'Import',
+    'btn.share':            'Copy link',
+    'plan.selectTitle':     'Select plan',
+    'lang.title':           'Language',
+
+    'schedule.title':       'Domain farming schedule',
+    'schedule.today':       'Today',
+    'schedule.week':        'This week',
+    'schedule.server':      'Server (reset time zone)',
+    'schedule.todayHead':   'Today ({day}, {server} 04:00 reset)',
+    'schedule.sunday':      ' · Sunday: every domain is open',
+    'schedule.regionTitle': '{region} talent domains',
+    'schedule.none':        'None of the domains open today drop books your roster needs.',
+    'schedule.short':       'Missing: {parts}',
+    'schedule.enough':      'Enough owned',
+
+    'estimate.title':       'Resin · days to complete',
+    'estimate.natural':     'Natural regen',
+    'estimate.condensed':   'Condensed Resin',
+    'estimate.fragile':     'Fragile Resin',
+    'estimate.domain':      '{name} domain',
+    'estimate.runs':        '{runs} runs · {resin} resin',
+    'estimate.leyMora':     'Ley line (Mora)',
+    'estimate.leyExp':      'Ley line (EXP)',
+    'estimate.totalResin':  'Total resin',
+    'estimate.dailyResin':  'Resin per day',
+    'estimate.eta':         'Estimated time',
+    'estimate.days':        '{days} days (done around {date})',
+    'estimate.enough':      'Already covered',
+
+    'cards.empty':          'Add a character or weapon to set build goals.',
+    'card.levelCurrent':    'Current level',
+    'card.naCurrent':       'Current normal attack',
+    'card.skillCurrent':    'Current skill',
+    'card.burstCurrent':    'Current burst',
+    'card.levelTarget':     'Target level',
+    'card.naTarget':        'Target normal attack',
+    'card.skillTarget':     'Target skill',
+    'card.burstTarget':     'Target burst',
+    'picker.title':         'Find characters',
+    'picker.hint':          'Search by name, Korean initials (ㅎㄷ) or nickname, or pick filters, then tick several to add at once.',
+    'picker.empty':         'No characters or weapons match.',
+    'picker.more':          '{count} more — narrow the search or filters.',
+    'picker.add':           'Add selected',
+    'picker.addCount':      'Add selected ({count})',
+    'filter.element':       'Element',
+    'filter.weapon':        'Weapon',
+    'filter.region':        'Region',
+    'filter.day':           'Day',
+    'filter.any':           'Any {facet}',
+    'sort.title':           'Sort',
+    'sort.added':           'Priority',
+    'sort.name':            'Name',
+    'sort.element':         'Element',
+    'sort.weapon':          'Weapon',
+    'sort.region':          'Region',
+    'sort.day':             'Day',
+    'cardGroup.title':      'Group',
+    'cardGroup.off':        'No grouping',
+    'cardGroup.other':      'Other',
+    'element.pyro': 'Pyro', 'element.hydro': 'Hydro', 'element.electro': 'Electro', 'element.cryo': 'Cryo',
+    'element.dendro': 'Dendro', 'element.anemo': 'Anemo', 'element.geo': 'Geo',
+    'weaponType.sword': 'Sword', 'weaponType.claymore': 'Claymore', 'weaponType.polearm': 'Polearm',
+    'weaponType.catalyst': 'Catalyst', 'weaponType.bow': 'Bow',
+    'bookday.mon': 'Mon / Thu', 'bookday.tue': 'Tue / Fri', 'bookday.wed': 'Wed / Sat',
+    'breakdown.title':      'Material breakdown',
+    'breakdown.level':      'Level & ascension',
+    'breakdown.na':         'Normal attack',
+    'breakdown.skill':      'Skill',
+    'breakdown.burst':      'Burst',
+    'breakdown.none':       'Nothing needed.',
+    'breakdown.share':      '{pct} of the {total} the roster needs',
+    'card.moveUp':          'Raise priority (or drag the card)',
+    'card.moveDown':        'Lower priority',
+    'budget.title':         'Budget by priority',
+    'budget.hint':          "Spends the Mora, Hero's Wit, Crowns and talent books from owned materials on the cards in order: level first, then talents. Only these four are budgeted: gems, boss drops, local specialties, common and elite drops, weekly boss materials and ores are not checked.",
+    'budget.empty':         'Add cards to see what the budget covers.',
+    'budget.done':          "Goal fully affordable (Mora, Hero's Wit, Crowns, books)",
+    'budget.reached':       'Affordable up to Lv.{level} · talents {na}/{skill}/{burst}',
+    'budget.reachedWeapon': 'Affordable up to Lv.{level}',
+    'budget.steps':         '{ok}/{all} steps',
+    'budget.blocked':       '{step}: not enough {material} (need {need}, {have} left)',
+    'budget.stepLevel':     'Lv.{from} → {to}',
+    'budget.stepTalent':    '{talent} {from} → {to}',
+    'budget.left':          "Budget left: Mora {mora} · Hero's Wit {hero} · Crowns {crown}",
+    'done.step':            '✓ {step}',
+    'done.title':           'Done: moves the current value forward and logs the materials spent',
+    'scenario.title':       'Scenario comparison',
+    'scenario.hint':        'Totals for the same cards with other targets, next to the cards as they are. Brackets show the difference from the current cards.',
+    'scenario.empty':       'Add a talent preset or save the current targets as a scenario.',
+    'scenario.talent':      'Talents {n}/{n}/{n}',
+    'scenario.talentTitle': 'Talent target for every character (never below the current level; level targets rise to the ascension needed)',
+    'scenario.addTalent':   'Add',
+    'scenario.save':        'Save current targets',
+    'scenario.namePrompt':  'Scenario name',
+    'scenario.defaultName': 'Scenario {n}',
+    'scenario.exists':      'That scenario already exists.',
+    'scenario.current':     'Current cards',
+    'scenario.apply':       'Apply',
+    'scenario.applyTitle':  "Copies this scenario's targets into the cards",
+    'scenario.remove':      'Remove scenario',
+    'history.title':        'Progress history',
+    'history.hint':         'Steps finished with the ✓ buttons on the cards, with the date and the materials they used up.',
+    'history.empty':        'No finished steps yet.',
+    'history.byWeek':       'By week',
+    'history.byCharacter':  'By character',
+    'history.week':         'Week of {date}',
+    'history.steps':        '{n} steps',
+    'history.books':        'Teachings {low} · Guide {mid} · Philosophies {high}',
+    'history.recent':       'Recent',
+    'history.undo':         'Undo',
+    'history.undoTitle':    'Removes the entry and, if the card is still at this step, moves its current value back',
+    'history.csv':          'Export CSV',
+    'history.clear':        'Clear history',
+    'history.clearConfirm': 'Clear all {n} history entries? (card values stay as they are)',
+    'card.remove':          'Remove',
+    'card.constellation':   'Constellation (C3 / C5: talent +3, pick the displayed level)',
+    'card.boosted':         'Constellation +{bonus} applied (displayed level)',
+    'card.inverted':        '{field}: below the current value.',
+    'card.raised':          '{field}: raised {from} → {to} for ascension phase {phase}, which the talent targets need.',
+    'card.gate':            '{field}: the current ascension phase allows talent level {max} at most.',
+    'card.levelShared':     'Level and ascension are shared by every element, so they are counted once, on the {name} card.',
+
+    'totals.title':         'Total materials',
+    'total.mora':           'Mora',
+    'total.exp':            'EXP',
+    'total.hero':           "Hero's Wit",
+    'total.adventurer':     "Adventurer's Experience",
+    'total.wanderer':       "Wanderer's Advice",
+    'total.leftover':       'Leftover EXP',
+    'total.endgame':        '{name} (Lv.90+)',
+    'total.crown':          'Crown of Insight',
+    'crown.warning':        'The plan needs {need} Crowns of Insight but you have {own} ({short} short): {names}',
+    'group.gem':            'Gems',
+    'group.boss':           'Boss materials',
+    'group.specialty':      'Local specialties',
+    'group.common':         'Common drops',
+    'group.weapon':         'Weapon ascension materials',
+    'group.elite':          'Elite drops',
+    'group.weekly':         'Weekly boss · {name} ({count})',
+    'inventory.summary':    'Owned materials',
+    'inventory.hero':       "Hero's Wit",
+
+    'tier.low':             'Teachings',
+    'tier.mid':             'Guide',
+    'tier.high':            'Philosophies',
+    'book.low':             'Teachings of {name}',
+    'book.mid':             'Guide to {name}',
+    'book.high':            'Philosophies of {name}',
+
+    'cli.characters':       'Characters ({count}): {names}',
+    'cli.weapons':          'Weapons ({count}): {names}',
+    'cli.total':            'Totals',
+    'cli.books':            'Talent books',
+    'cli.weekly':           'Weekly boss materials',
+
+    'region.mond':          'Mondstadt',
+    'region.liyue':         'Liyue',
+    'region.inazuma':       'Inazuma',
+    'region.sumeru':        'Sumeru',
+    'region.fontaine':      'Fontaine',
+    'region.natlan':        'Natlan',
+    'weekday.0': 'Sun', 'weekday.1': 'Mon', 'weekday.2': 'Tue', 'weekday.3': 'Wed',
+    'weekday.4': 'Thu', 'weekday.5': 'Fri', 'weekday.6': 'Sat',
+    'server.asia':          'Asia (UTC+8)',
+    'server.europe':        'Europe (UTC+1)',
+    'server.america':       'America (UTC-5)',
+    'server.tw_hk_mo':      'TW·HK·MO (UTC+8)',
+
+    'add.unknown':          'Unknown character or weapon. (check characters.json / weapons.json)',
+    'add.duplicate':        'That character is already in the list.',
+    'clear.confirm':        'Remove every character?',
+    'plan.default':         'Main plan',
+    'plan.exists':          'A plan with that name already exists.',
+    'plan.newPrompt':       'New plan name (e.g. Spiral Abyss team)',
+    'plan.renamePrompt':    'Rename plan',
+    'plan.deleteConfirm':   "Delete the plan '{name}'?",
+    'plan.shared':          'Shared plan',
+    'share.copied':         'Share link copied.',
+    'share.prompt':         'Share link',
+    'load.failed':          'Failed to load data: make sure the page is served from a local server. (Once opened online, it also works offline.)',
+
+    'import.failed':        'Import failed ({count})',
+    'import.notArray':      'The character list (roster) is not an array.',
+    'import.item':          'Entry {n}',
+    'import.unknownId':     "{at}: unknown character id '{id}'",
+    'import.unknownWeapon': "{at}: unknown weapon id '{id}'",
+    'import.duplicate':     "{at}: '{name}' is listed more than once.",
+    'import.badJSON':       'Not valid JSON: {message}',
+    'import.badFormat':     'Unsupported file format.',
+    'import.newer':         'The file is from a newer version ({version}).',
+    'goal.badLevel':        "{field} '{value}' — must be a level 1~{max} or {caps}.",
+    'goal.badTalent':       "{field} '{value}' — must be between 1 and 10.",
+    'goal.badWeaponLevel':  "{field} '{value}' — weapon levels are {levels}.",
+    'goal.badConstellation': "{field} '{value}' — must be between 0 and {max}."
+  }
+};
+
+function t(key, params = {}){
+  const text = STRINGS[LANG][key] ?? STRINGS[DEFAULT_LANG][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (name in params ? params[name] : m));
+}
+
+function setLanguage(lang){
+  LANG = LANGUAGES[lang] ? lang : DEFAULT_LANG;
+  return LANG;
+}
+
+// Browser default for first visits: Korean UI only for Korean browsers
+function detectLanguage(){
+  const nav = (typeof navigator === 'object' && navigator.language) || '';
+  return nav.toLowerCase().startsWith('ko') ? 'ko' : 'en';
+}
+
+if (typeof module === 'object' && module.exports){
+  module.exports = { LANGUAGES, DEFAULT_LANG, STRINGS, t, setLanguage, detectLanguage, getLanguage: () => LANG };
+}
@@ -0,0 +1,87 @@
+/* search.js — character / weapon name search, loaded before app.js
+ * - Names: name_kr, name_en, id and characters.json / weapons.json `aliases` (case, spaces and punctuation ignored)
+ * - 초성: jamo in the query match the initial consonant of a syllable ('ㅎㄷ' → 호두, '카ㅈㅎ' → 카즈하)
+ * - Ranking: exact > all initials > prefix > word start > substring > fuzzy (typos: 'kazuah' → Kazuha)
+ */
+
+const CHOSEONG = ['ㄱ','ㄲ','ㄴ','ㄷ','ㄸ','ㄹ','ㅁ','ㅂ','ㅃ','ㅅ','ㅆ','ㅇ','ㅈ','ㅉ','ㅊ','ㅋ','ㅌ','ㅍ','ㅎ'];
+const HANGUL_FIRST = 0xAC00, HANGUL_LAST = 0xD7A3;
+const SYLLABLES_PER_CHOSEONG = 21 * 28; // 중성 × 종성
+
+const SEARCH_SCORE = { exact:100, initials:90, prefix:80, word:70, substring:50, fuzzy:30 };
+
+// '호두' → 'ㅎㄷ' (other characters are kept)
+const toChoseong = str => Array.from(String(str), ch => {
+  const code = ch.charCodeAt(0);
+  return code >= HANGUL_FIRST && code <= HANGUL_LAST ? CHOSEONG[Math.floor((code - HANGUL_FIRST) / SYLLABLES_PER_CHOSEONG)] : ch;
+}).join('');
+
+const searchWords = str => String(str ?? '').toLowerCase().split(/[\s·.,'’()\-_/]+/).filter(Boolean);
+const searchKey   = str => searchWords(str).join('');
+const searchNames = entry => [entry.name_kr, entry.name_en, entry.id, ...(entry.aliases || [])].filter(Boolean);
+
+// Query char vs name char: equal, or a jamo that is the syllable's initial consonant
+const charMatches = (q, n) => q === n || (CHOSEONG.includes(q) && toChoseong(n) === q);
+
+// First index where the query matches the name key char by char (-1 when it doesn't)
+function matchIndex(q, n){
+  const qs = Array.from(q), ns = Array.from(n);
+  for (let i = 0; i + qs.length <= ns.length; i++){
+    if (qs.every((ch, j) => charMatches(ch, ns[i + j]))) return i;
+  }
+  return -1;
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent swaps)
+function editDistance(a, b){
+  const as = Array.from(a), bs = Array.from(b);
+  const d = Array.from({ length: as.length + 1 }, (_, i) => [i, ...Array(bs.length).fill(0)]);
+  for (let j = 1; j <= bs.length; j++) d[0][j] = j;
+  for (let i = 1; i <= as.length; i++){
+    for (let j = 1; j <= bs.length; j++){
+      const cost = as[i-1] === bs[j-1] ? 0 : 1;
+      d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + cost);
+      if (i > 1 && j > 1 && as[i-1] === bs[j-2] && as[i-2] === bs[j-1]) d[i][j] = Math.min(d[i][j], d[i-2][j-2] + 1);
+    }
+  }
+  return d[as.length][bs.length];
+}
+
+// One name → score (0 = no match)
+function nameScore(q, name){
+  const key = searchKey(name);
+  if (!key) return 0;
+  if (key === q) return SEARCH_SCORE.exact;
+  const at = matchIndex(q, key);
+  if (at === 0) return Array.from(q).length === Array.from(key).length ? SEARCH_SCORE.initials : SEARCH_SCORE.prefix;
+  if (at > 0){
+    const words = searchWords(name);
+    const starts = words.map((w, i) => words.slice(0, i).join('').length);
+    return starts.includes(at) ? SEARCH_SCORE.word : SEARCH_SCORE.substring;
+  }
+  // typos: about one per four letters, against the whole name or any word of it
+  const len = Array.from(q).length;
+  if (len < 3) return 0;
+  const allowed = Math.max(1, Math.floor(len / 4));
+  const dist = Math.min(...[key, ...searchWords(name)].map(w => editDistance(q, w)));
+  return dist <= allowed ? SEARCH_SCORE.fuzzy - dist : 0;
+}
+
+// Best score over the entry's names
+function matchScore(query, entry){
+  const q = searchKey(query);
+  if (!q) return 0;
+  return Math.max(0, ...searchNames(entry).map(name => nameScore(q, name)));
+}
+
+// Catalog → [{ entry, score }] best first (ties keep catalog order)
+function searchCatalog(query, list){
+  return list.map((entry, i) => ({ entry, score: matchScore(query, entry), i }))
+    .filter(h => h.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(({ entry, score }) => ({ entry, score }));
+}
+
+if (typeof module === 'object' && module.exports){
+  module.exports = { CHOSEONG, SEARCH_SCORE, toChoseong, searchKey, searchNames, editDistance, matchScore, searchCatalog };
+}
@@ -0,0 +1,229 @@
+/* sw.js — offline service worker (registered by app.js)
+ * - Install: precaches the page, scripts, styles.css, the JSON data and every image under images/
+ * - Cache name carries PRECACHE_VERSION (a hash of those files): when any of them changes,
+ *   `node genshin_precache_manifest.js` rewrites the manifest below, the browser sees a new sw.js,
+ *   installs the new cache and drops the old one on activate
+ * - Fetch: JSON data network-first (fresh when online, cached offline); everything else cache-first,
+ *   page navigations fall back to the cached index.html
+ */
+
+// precache manifest: generated by genshin_precache_manifest.js, do not edit by hand
+const PRECACHE_VERSION = 'fd9ce09e105f';
+const PRECACHE_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'styles.css',
+  'calc.js',
+  'i18n.js',
+  'search.js',
+  'app.js',
+  'characters.json',
+  'book_cost.json',
+  'weapons.json',
+  'images/albedo.png',
+  'images/alhaitham.png',
+  'images/aloy.png',
+  'images/amber.png',
+  'images/arrlecchino.png',
+  'images/ayaka.png',
+  'images/ayato.png',
+  'images/baizhu.png',
+  'images/barbara.png',
+  'images/baresa.png',
+  'images/beidou.png',
+  'images/bennett.png',
+  'images/books/fontaine_equity_guide.png',
+  'images/books/fontaine_equity_philosophies.png',
+  'images/books/fontaine_equity_teachings.png',
+  'images/books/fontaine_judgment_guide.png',
+  'images/books/fontaine_judgment_philosophies.png',
+  'images/books/fontaine_judgment_teachings.png',
+  'images/books/fontaine_order_guide.png',
+  'images/books/fontaine_order_philosophies.png',
+  'images/books/fontaine_order_teachings.png',
+  'images/books/inazuma_elegance_guide.png',
+  'images/books/inazuma_elegance_philosophies.png',
+  'images/books/inazuma_elegance_teachings.png',
+  'images/books/inazuma_light_guide.png',
+  'images/books/inazuma_light_philosophies.png',
+  'images/books/inazuma_light_teachings.png',
+  'images/books/inazuma_transience_guide.png',
+  'images/books/inazuma_transience_philosophies.png',
+  'images/books/inazuma_transience_teachings.png',
+  'images/books/liyue_diligence_guide.png',
+  'images/books/liyue_diligence_philosophies.png',
+  'images/books/liyue_diligence_teachings.png',
+  'images/books/liyue_gold_guide.png',
+  'images/books/liyue_gold_philosophies.png',
+  'images/books/liyue_gold_teachings.png',
+  'images/books/liyue_prosperity_guide.png',
+  'images/books/liyue_prosperity_philosophies.png',
+  'images/books/liyue_prosperity_teachings.png',
+  'images/books/mond_ballad_guide.png',
+  'images/books/mond_ballad_philosophies.png',
+  'images/books/mond_ballad_teachings.png',
+  'images/books/mond_freedom_guide.png',
+  'images/books/mond_freedom_philosophies.png',
+  'images/books/mond_freedom_teachings.png',
+  'images/books/mond_resistance_guide.png',
+  'images/books/mond_resistance_philosophies.png',
+  'images/books/mond_resistance_teachings.png',
+  'images/books/natlan_conflict_guide.png',
+  'images/books/natlan_conflict_philosophies.png',
+  'images/books/natlan_conflict_teachings.png',
+  'images/books/natlan_rule_guide.png',
+  'images/books/natlan_rule_philosophies.png',
+  'images/books/natlan_rule_teachings.png',
+  'images/books/natlan_war_guide.png',
+  'images/books/natlan_war_philosophies.png',
+  'images/books/natlan_war_teachings.png',
+  'images/books/sumeru_admonition_guide.png',
+  'images/books/sumeru_admonition_philosophies.png',
+  'images/books/sumeru_admonition_teachings.png',
+  'images/books/sumeru_ingenuity_guide.png',
+  'images/books/sumeru_ingenuity_philosophies.png',
+  'images/books/sumeru_ingenuity_teachings.png',
+  'images/books/sumeru_praxis_guide.png',
+  'images/books/sumeru_praxis_philosophies.png',
+  'images/books/sumeru_praxis_teachings.png',
+  'images/candace.png',
+  'images/charlotte.png',
+  'images/chasca.png',
+  'images/chev.png',
+  'images/chiori.png',
+  'images/chongyun.png',
+  'images/citlali.png',
+  'images/clorinde.png',
+  'images/collei.png',
+  'images/cyno.png',
+  'images/dahlia.png',
+  'images/dehya.png',
+  'images/diluc.png',
+  'images/diona.png',
+  'images/dori.png',
+  'images/emilie.png',
+  'images/escoffier.png',
+  'images/eula.png',
+  'images/faruzan.png',
+  'images/fischl.png',
+  'images/furina.png',
+  'images/gaming.png',
+  'images/ganyu.png',
+  'images/gorou.png',
+  'images/heizou.png',
+  'images/hutao.png',
+  'images/iansan.png',
+  'images/icons/app.svg',
+  'images/icons/crown.png',
+  'images/icons/herowit.png',
+  'images/icons/mora.png',
+  'images/ifa.png',
+  'images/inefa.png',
+  'images/itto.png',
+  'images/jean.png',
+  'images/kachina.png',
+  'images/kaeya.png',
+  'images/kaveh.png',
+  'images/kazuha.png',
+  'images/keqing.png',
+  'images/kinich.png',
+  'images/kirara.png',
+  'images/klee.png',
+  'images/kokomi.png',
+  'images/lanyan.png',
+  'images/layla.png',
+  'images/lisa.png',
+  'images/lynette.png',
+  'images/lyney.png',
+  'images/mavuika.png',
+  'images/mika.png',
+  'images/miko.png',
+  'images/mizuki.png',
+  'images/mona.png',
+  'images/mualani.png',
+  'images/nahida.png',
+  'images/navia.png',
+  'images/neuvi.png',
+  'images/nilou.png',
+  'images/ningguang.png',
+  'images/noelle.png',
+  'images/ororon.png',
+  'images/qiqi.png',
+  'images/raiden.png',
+  'images/razor.png',
+  'images/rosaria.png',
+  'images/sara.png',
+  'images/sayu.png',
+  'images/sethos.png',
+  'images/shenhe.png',
+  'images/shinobu.png',
+  'images/sigewinne.png',
+  'images/skirk.png',
+  'images/son.png',
+  'images/sucrose.png',
+  'images/tartaglia.png',
+  'images/thoma.png',
+  'images/tighnari.png',
+  'images/traveler.svg',
+  'images/venti.png',
+  'images/wanderer.png',
+  'images/wrio.png',
+  'images/xiangling.png',
+  'images/xianyun.png',
+  'images/xiao.png',
+  'images/xilonen.png',
+  'images/xingqiu.png',
+  'images/xinyan.png',
+  'images/yanfei.png',
+  'images/yaoyao.png',
+  'images/yelan.png',
+  'images/yoimiya.png',
+  'images/yunjin.png',
+  'images/zhongli.png'
+];
+// end of precache manifest
+
+const CACHE_PREFIX = 'genshin-planner-';
+const CACHE_NAME   = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
+const isData = url => url.pathname.endsWith('.json');
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// Network response → cache copy (only complete same-origin responses)
+async function store(request, response){
+  if (response.ok && response.type === 'basic'){
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request){
+  try { return await store(request, await fetch(request)); }
+  catch (e) { return (await caches.match(request, { ignoreSearch:true })) || Response.error(); }
+}
+
+async function cacheFirst(request){
+  const hit = await caches.match(request, { ignoreSearch:true });
+  if (hit) return hit;
+  try { return await store(request, await fetch(request)); }
+  catch (e) {
+    if (request.mode === 'navigate') return (await caches.match('index.html')) || Response.error();
+    return Response.error();
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  event.respondWith(isData(url) ? networkFirst(event.request) : cacheFirst(event.request));
+});
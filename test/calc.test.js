@@ -0,0 +1,401 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const calc = require('../calc.js');
+
+const readJSON = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+const STEPS = calc.normalizeTalentCosts(readJSON('book_cost.json'));
+const CHARACTERS = readJSON('characters.json').map(calc.normalizeCharacter);
+
+const byId = id => CHARACTERS.find(c => c.id === id);
+const item = (id, goal = {}) => ({ ...byId(id), levelCurrent:'1', levelTarget:'90',
+  naCurrent:1, naTarget:6, skillCurrent:1, skillTarget:6, burstCurrent:1, burstTarget:6, ...goal });
+
+// ------------------------------
+// Level tokens & ascension anchors
+test('parseLevel snaps ✦ / + tokens and rejects off-anchor ascensions', () => {
+  assert.deepEqual(calc.parseLevel('80✦'), { token:'80+', level:80, phase:6 });
+  assert.deepEqual(calc.parseLevel(80),    { token:'80',  level:80, phase:5 });
+  assert.deepEqual(calc.parseLevel(' 20+ '), { token:'20+', level:20, phase:1 });
+  assert.equal(calc.parseLevel('81+'), null);
+  assert.equal(calc.parseLevel('0'), null);
+  assert.equal(calc.parseLevel(calc.LEVEL_MAX + 1), null);
+  assert.equal(calc.parseLevel('abc'), null);
+});
+
+test('level XP between ascension anchors matches the in-game segment totals', () => {
+  const segments = [
+    ['1','20',120175], ['20','40',578325], ['40','50',573100], ['50','60',859525],
+    ['60','70',1196525], ['70','80',1611875], ['80','90',3423125]
+  ];
+  for (const [from, to, xp] of segments){
+    assert.equal(calc.calcLevelCost(from, to).xp, xp, `${from} → ${to}`);
+    if (from !== '1') assert.equal(calc.calcLevelCost(`${from}+`, to).xp, xp, `${from}✦ → ${to}`);
+  }
+  assert.equal(calc.calcLevelCost('1','90').xp, segments.reduce((a, s) => a + s[2], 0));
+});
+
+test('ascending at an anchor costs the phase only, no XP', () => {
+  assert.equal(calc.calcLevelCost('80','80+').xp, 0);
+  const asc = calc.calcAscensionCost('80','80+');
+  assert.equal(asc.mora, 120000);
+  assert.equal(asc.gems.gemstone, 6);
+  assert.equal(calc.calcAscensionCost('80+','90').mora, 0);
+  assert.equal(calc.calcAscensionCost('1','90').mora, 420000);
+});
+
+test('EXP books never undershoot and Mora follows the fed XP', () => {
+  for (const [from, to] of [['1','20'], ['42','43'], ['1','90']]){
+    const c = calc.calcLevelCost(from, to);
+    const fed = c.hero * 20000 + c.adventurer * 5000 + c.wanderer * 1000;
+    assert.equal(fed - c.xp, c.leftover);
+    assert.ok(c.leftover >= 0 && c.leftover < 1000);
+    assert.equal(c.mora, fed / calc.XP_PER_MORA);
+  }
+});
+
+test('Lv.90 → 100 uses the endgame table instead of EXP', () => {
+  assert.equal(calc.calcLevelCost('90','100').xp, 0);
+  assert.deepEqual(calc.calcEndgameCost('90','100'), { material:10, mora:2000000 });
+  assert.deepEqual(calc.calcEndgameCost('1','95'), { material:5, mora:750000 });
+});
+
+// ------------------------------
+// Talent steps (book_cost.json)
+test('book_cost.json covers every talent step 1 → 10 exactly once', () => {
+  assert.deepEqual(STEPS.map(s => [s.from, s.to]), Array.from({ length:9 }, (_, i) => [i + 1, i + 2]));
+});
+
+test('talent ranges add up step by step', () => {
+  for (let from = 1; from < 10; from++){
+    for (let to = from + 1; to <= 10; to++){
+      const whole = calc.calcTalentCost(from, to, STEPS);
+      const parts = [];
+      for (let l = from; l < to; l++) parts.push(calc.calcTalentCost(l, l + 1, STEPS));
+      assert.equal(whole.mora, parts.reduce((a, p) => a + p.mora, 0), `${from} → ${to}`);
+      for (const tier of ['low','mid','high']){
+        assert.equal(whole.books[tier], parts.reduce((a, p) => a + p.books[tier], 0));
+        assert.equal(whole.common[tier], parts.reduce((a, p) => a + p.common[tier], 0));
+      }
+    }
+  }
+});
+
+test('talent 1 → 10 totals', () => {
+  const t = calc.calcTalentCost(1, 10, STEPS);
+  assert.deepEqual(t.books,  { low:3, mid:21, high:38 });
+  assert.deepEqual(t.common, { low:6, mid:22, high:31 });
+  assert.equal(t.crown, 1);
+  assert.equal(t.weekly, 6);
+  assert.equal(t.mora, 1652500);
+});
+
+test('empty or inverted talent ranges cost nothing', () => {
+  assert.equal(calc.calcTalentCost(6, 6, STEPS).mora, 0);
+  assert.equal(calc.calcTalentCost(8, 2, STEPS).mora, 0);
+});
+
+test('book crafting covers missing tiers 3:1', () => {
+  const r = calc.calcBookShortfall({ low:0, mid:2, high:1 }, { low:15, mid:0, high:0 });
+  assert.deepEqual(r.short, { low:0, mid:0, high:0 });
+  assert.deepEqual(r.craft, { mid:5, high:1 });
+  assert.equal(r.mora, 5 * calc.CRAFT_MORA.mid + calc.CRAFT_MORA.high);
+});
+
+// ------------------------------
+// Multi-character aggregation
+test('roster totals are the sum of per-character costs', () => {
+  const list = [item('hutao'), item('xiangling', { levelTarget:'80+', naTarget:10 }), item('furina', { levelCurrent:'90', levelTarget:'100' })];
+  const { sum, matTotals } = calc.calcRosterTotals(list, STEPS);
+  const each = list.map(it => calc.calcCharacterCost(it, STEPS));
+  assert.equal(sum.mora, each.reduce((a, c) => a + c.mora, 0));
+  assert.equal(sum.xp, each.reduce((a, c) => a + c.xp, 0));
+  assert.equal(sum.crown, 1);
+  assert.equal(sum.endgame, 10);
+  for (const tier of ['low','mid','high']) assert.equal(sum.books[tier], each.reduce((a, c) => a + c.books[tier], 0));
+  // shared families add up under one key
+  const fire = Object.values(matTotals).filter(e => e.group === 'gem' && e.key.startsWith('agnidus'));
+  assert.equal(fire.reduce((a, e) => a + e.value, 0), 2 * (1 + 9 + 9 + 6));
+});
+
+test('characters on the same book series share one series total', () => {
+  const a = byId('hutao'), b = CHARACTERS.find(c => c.id !== a.id && c.talent_book?.key === a.talent_book.key);
+  const { seriesTotals } = calc.calcRosterTotals([item(a.id), item(b.id)], STEPS);
+  const rows = Object.values(seriesTotals);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].chars, [a.name, b.name]);
+  const one = calc.calcTalentCost(1, 6, STEPS).books;
+  assert.deepEqual(rows[0].sums, { teachings:6 * one.low, guide:6 * one.mid, philosophies:6 * one.high });
+});
+
+test('Traveler books rotate per level and split across regions', () => {
+  const geo = byId('traveler_geo');
+  assert.deepEqual(geo.talent_books.na.map(b => b.key), ['freedom','resistance','ballad']);
+  assert.deepEqual(geo.talent_books.skill.map(b => b.key), ['prosperity','diligence','gold']);
+  assert.equal(calc.talentBookAt(geo, 'na', 4).key, 'freedom');   // 4 → 5 wraps around
+  assert.equal(calc.talentBookAt(geo, 'burst', 9).key, 'gold');
+
+  const { sum, seriesTotals } = calc.calcRosterTotals([item('traveler_geo', { naTarget:10, skillTarget:10, burstTarget:10 })], STEPS);
+  const rows = Object.values(seriesTotals);
+  assert.deepEqual(rows.map(r => `${r.region}/${r.key}`).sort(),
+    ['liyue/diligence','liyue/gold','liyue/prosperity','mond/ballad','mond/freedom','mond/resistance']);
+  const total = tier => rows.reduce((a, r) => a + r.sums[tier], 0);
+  assert.deepEqual([total('teachings'), total('guide'), total('philosophies')], [sum.books.low, sum.books.mid, sum.books.high]);
+
+  // step i (from = i + 1) of one talent goes to series i % 3
+  const bySeries = Object.fromEntries(rows.map(r => [r.key, r.sums]));
+  const expect = { teachings:0, guide:0, philosophies:0 };
+  STEPS.filter(s => (s.from - 1) % 3 === 0).forEach(s => { expect.teachings += s.book_low; expect.guide += s.book_mid; expect.philosophies += s.book_high; });
+  assert.deepEqual(bySeries.freedom, expect);
+  assert.deepEqual(bySeries.prosperity, { teachings:2 * expect.teachings, guide:2 * expect.guide, philosophies:2 * expect.philosophies });
+});
+
+test('Traveler ascends with Brilliant Diamond and masks; talents keep the element\'s common drops', () => {
+  const parts = calc.calcCostBreakdown(item('traveler_anemo', { naTarget:8 }), STEPS);
+  const keys = rows => rows.filter(r => r.kind === 'material').map(r => r.key);
+  assert.deepEqual(keys(parts.level), ['brilliant_diamond_sliver','brilliant_diamond_fragment','brilliant_diamond_chunk','brilliant_diamond_gemstone',
+    'windwheel_aster','mask_low','mask_mid','mask_high']);
+  assert.deepEqual(parts.level.filter(r => r.key.startsWith('mask_')).map(r => r.value), [18, 30, 36]);
+  assert.deepEqual(keys(parts.na), ['scroll_low','scroll_mid','scroll_high','dvalins_plume']);
+  assert.equal(byId('traveler_geo').materials.gem, 'brilliant_diamond');
+  assert.equal(byId('hutao').materials.ascensionCommon, 'nectar');
+});
+
+test('Traveler elements share one level: level / ascension count once, talents per element', () => {
+  const anemo = item('traveler_anemo', { levelTarget:'80', naTarget:8 }), geo = item('traveler_geo', { levelCurrent:'40', naTarget:8 });
+  const talentsOnly = it => calc.calcCharacterCost({ ...it, levelTarget:it.levelCurrent }, STEPS);
+  const level = calc.calcCharacterCost({ ...anemo, levelTarget:'90', naTarget:1, skillTarget:1, burstTarget:1 }, STEPS);
+  const { sum, matTotals } = calc.calcRosterTotals([anemo, geo], STEPS);
+  // the group goes from the lowest current (1) to the highest target (90)
+  assert.equal(sum.xp, calc.calcLevelCost('1', '90').xp);
+  assert.equal(sum.mora, level.mora + talentsOnly(anemo).mora + talentsOnly(geo).mora);
+  assert.equal(matTotals.brilliant_diamond_gemstone.value, 6);
+  assert.equal(matTotals.mask_high.value, 36);
+  assert.equal(matTotals.scroll_high.value, talentsOnly(anemo).common.high);
+  assert.equal(matTotals.arrowhead_high.value, talentsOnly(geo).common.high);
+  assert.equal(matTotals.tail_of_boreas.value, talentsOnly(geo).weekly);
+  // two of the same non-grouped character would still both pay for their levels
+  assert.equal(calc.calcRosterTotals([item('hutao'), item('xiangling')], STEPS).sum.xp, 2 * calc.calcLevelCost('1', '90').xp);
+});
+
+test('C3 / C5 boost the talent from characters.json; displayed levels map back to base', () => {
+  const hutao = byId('hutao');   // c3: skill, c5: burst
+  assert.deepEqual(hutao.boosts, { c3:'skill', c5:'burst' });
+  assert.equal(calc.talentBonus(hutao, 'skill', 2), 0);
+  assert.equal(calc.talentBonus(hutao, 'skill', 3), 3);
+  assert.equal(calc.talentBonus(hutao, 'burst', 4), 0);
+  assert.equal(calc.talentBonus(hutao, 'burst', 6), 3);
+  assert.equal(calc.talentBonus(hutao, 'na', 6), 0);
+  assert.equal(calc.toBaseTalent(13, 3), 10);
+  assert.equal(calc.toBaseTalent(9, 3), 6);
+  assert.equal(calc.toDisplayedTalent(6, 3), 9);
+  // constellation only changes the display: same base levels → same cost
+  assert.deepEqual(calc.calcCharacterCost(item('hutao', { constellation:6 }), STEPS), calc.calcCharacterCost(item('hutao'), STEPS));
+  assert.deepEqual(calc.validateGoal({ constellation:7 }).errors, [{ field:'constellation', value:7, kind:'constellation' }]);
+  assert.equal(calc.validateGoal({}).goal.constellation, 0);
+});
+
+// ------------------------------
+// Weapons
+const WEAPONS = readJSON('weapons.json').map(calc.normalizeWeapon);
+const weapon = (id, goal = {}) => ({ ...WEAPONS.find(w => w.id === id), ...calc.DEFAULT_WEAPON_GOAL, ...goal });
+
+test('weapon 1 → 90 costs by rarity (ore XP, Mora, ascension rows)', () => {
+  for (const rarity of calc.WEAPON_RARITIES){
+    const w = WEAPONS.find(x => x.rarity === rarity);
+    const cost = calc.calcWeaponCost(weapon(w.id));
+    const table = calc.WEAPON_COSTS[rarity];
+    assert.equal(cost.xp, table.xp.reduce((a, b) => a + b, 0));
+    assert.ok(calc.WEAPON_ORES.reduce((a, o) => a + cost.ore[o.key] * o.xp, 0) >= cost.xp);
+    const ascMora = table.ascension.reduce((a, r) => a + r.mora, 0);
+    assert.equal(cost.mora, (cost.xp + cost.oreLeftover) / calc.WEAPON_XP_PER_MORA + ascMora);
+    assert.equal(cost.domain.t5, table.ascension[5].domain[3]);
+  }
+  // 5★: 6 phases → 225,000 Mora of ascension
+  assert.equal(calc.WEAPON_COSTS[5].ascension.reduce((a, r) => a + r.mora, 0), 225000);
+});
+
+test('weapon levels only move between anchors; ascending at an anchor costs the phase only', () => {
+  const cost = calc.calcWeaponCost(weapon('staff_of_homa', { levelCurrent:'80', levelTarget:'80+' }));
+  assert.equal(cost.xp, 0);
+  assert.equal(cost.mora, 65000);
+  assert.deepEqual(calc.validateWeaponGoal({ levelCurrent:'85', levelTarget:'80✦' }).errors, [{ field:'levelCurrent', value:'85', kind:'weaponLevel' }]);
+});
+
+test('weapons share common drop keys with characters in roster totals', () => {
+  const { sum, matTotals } = calc.calcRosterTotals([item('hutao'), weapon('staff_of_homa'), weapon('staff_of_homa')], STEPS);
+  const homa = calc.calcWeaponCost(weapon('staff_of_homa'));
+  assert.equal(sum.ore.mystic, 2 * homa.ore.mystic);
+  assert.equal(sum.mora, calc.calcCharacterCost(item('hutao'), STEPS).mora + 2 * homa.mora);
+  assert.equal(matTotals.aerosiderite_t2.value, 10);
+  assert.equal(matTotals.ley_line_high.group, 'elite');
+  // Hu Tao (nectar) and Homa (slime) → separate families; both under 'common'
+  assert.equal(matTotals.slime_low.value, 2 * homa.common.low);
+});
+
+test('material labels follow the language; every catalog entry has a Korean name', () => {
+  const label = (lang, key) => calc.calcRosterTotals([item('hutao'), weapon('staff_of_homa')], STEPS, lang).matTotals[key].label;
+  assert.equal(label('en', 'agnidus_agate_gemstone'), 'Agnidus Agate Gemstone');
+  assert.equal(label('ko', 'agnidus_agate_gemstone'), '아그니 호박 원석');
+  assert.equal(label('en', 'nectar_high'), 'Energy Nectar');
+  assert.equal(label('ko', 'nectar_high'), '원소 꿀');
+  assert.equal(label('en', 'ley_line_low'), 'Dead Ley Line Branch');
+  assert.equal(label('ko', 'aerosiderite_t5'), '운철 5★');
+  for (const table of [calc.ASCENSION_GEMS, calc.BOSS_DROPS, calc.LOCAL_SPECIALTIES, calc.WEEKLY_MATERIALS, calc.WEEKLY_BOSSES])
+    for (const [key, m] of Object.entries(table)) assert.ok(m.name_kr && m.name_en, key);
+  for (const [key, m] of Object.entries({ ...calc.COMMON_DROPS, ...calc.ELITE_DROPS }))
+    assert.ok(m.name_kr && m.tiers_kr.length === 3, key);
+});
+
+test('talent targets raise the level target to the ascension phase they need', () => {
+  assert.deepEqual([1, 2, 3, 4, 6, 8, 9, 10].map(calc.phaseForTalent), [0, 2, 3, 3, 4, 5, 6, 6]);
+  const { goal, issues } = calc.checkGoal({ ...calc.DEFAULT_GOAL, levelTarget:'70', naTarget:10 });
+  assert.equal(goal.levelTarget, '80+');
+  assert.deepEqual(issues, [{ field:'levelTarget', kind:'raised', from:'70', to:'80+', phase:6 }]);
+  // the raised range is part of the plan: 1 → 80✦ costs more than 1 → 70
+  const low = calc.calcCharacterCost(item('hutao', { levelTarget:'70', naTarget:10 }), STEPS);
+  const raised = calc.calcCharacterCost(item('hutao', goal), STEPS);
+  assert.ok(raised.mora > low.mora && raised.crown === low.crown);
+  // already high enough → untouched
+  assert.deepEqual(calc.checkGoal({ ...calc.DEFAULT_GOAL, levelTarget:'90', naTarget:10 }).issues, []);
+});
+
+test('inverted ranges and talents above the current phase are flagged', () => {
+  const { goal, issues } = calc.checkGoal({ ...calc.DEFAULT_GOAL, levelCurrent:'80+', levelTarget:'80', skillCurrent:9, skillTarget:6, burstCurrent:6, burstTarget:6 });
+  assert.equal(goal.levelTarget, '80');
+  assert.deepEqual(issues, [{ field:'levelTarget', kind:'inverted' }, { field:'skillTarget', kind:'inverted' }]);
+  assert.deepEqual(calc.checkGoal({ ...calc.DEFAULT_GOAL, levelCurrent:'40+', naCurrent:5, naTarget:6 }).issues,
+    [{ field:'naCurrent', kind:'gate', max:2 }]);
+  assert.deepEqual(calc.checkWeaponGoal({ levelCurrent:'80+', levelTarget:'80' }).issues, [{ field:'levelTarget', kind:'inverted' }]);
+});
+
+test('card breakdown splits the level part from each talent and adds up to the card cost', () => {
+  const hu = item('hutao', { naTarget:10 });
+  const parts = calc.calcCostBreakdown(hu, STEPS);
+  const cost = calc.calcCharacterCost(hu, STEPS);
+  const total = key => Object.values(parts).flat().filter(r => r.key === key).reduce((a, r) => a + r.value, 0);
+  assert.deepEqual(Object.keys(parts), ['level', 'na', 'skill', 'burst']);
+  assert.equal(total('mora'), cost.mora);
+  assert.equal(total('crown'), cost.crown);
+  assert.equal(total('nectar_high'), cost.common.high);
+  assert.equal(total('liyue_diligence_high'), cost.books.high);
+  assert.ok(!parts.level.some(r => r.kind === 'book') && !parts.na.some(r => r.key === 'xp'));
+  // every row has a roster total to be a share of
+  const byKey = calc.totalsByKey(calc.calcRosterTotals([hu, item('xiangling')], STEPS));
+  for (const row of Object.values(parts).flat()) assert.ok(byKey[row.key] >= row.value, row.key);
+  assert.equal(byKey.liyue_diligence_mid, 2 * 63);
+});
+
+test('budget walk: level steps per anchor, then talents in turn; stops at the first blocking material', () => {
+  assert.deepEqual(calc.levelSteps('80', '92').map(s => `${s.from}>${s.to}`), ['80>80+', '80+>90', '90>91', '91>92']);
+  const hu = item('hutao', { uid:'a', levelCurrent:'90' });
+  assert.deepEqual(calc.budgetSteps(hu, STEPS).slice(0, 4).map(s => `${s.talent}${s.from}`), ['na1', 'skill1', 'burst1', 'na2']);
+
+  const xl = item('xiangling', { uid:'b', levelCurrent:'90' });
+  const budget = { mora:10000000, hero:0, crown:0, books:{ diligence:{ low:9, mid:0, high:0 } } };
+  const { plans, left } = calc.allocateBudget([hu, xl], budget, STEPS);
+  // 1→2 costs 3 teachings per talent: Hu Tao takes all nine, Xiangling gets nothing
+  assert.deepEqual(plans[0].reached, { levelCurrent:'90', naCurrent:2, skillCurrent:2, burstCurrent:2 });
+  const { material, tier, need, have, step } = plans[0].blocker;
+  assert.deepEqual({ material, tier, need, have }, { material:'book', tier:'mid', need:2, have:0 });
+  assert.equal(`${step.talent}${step.from}`, 'na2');
+  assert.equal(plans[0].steps.filter(s => s.affordable).length, 3);
+  assert.equal(plans[0].steps.filter(s => s.blocked).length, 1);
+  assert.equal(plans[1].blocker.tier, 'low');
+  assert.deepEqual(left.books.diligence, { low:0, mid:0, high:0 });
+  assert.equal(left.mora, 10000000 - 3 * 12500);
+});
+
+test('budget walk crafts books 3:1 and charges Hero\'s Wit per level step', () => {
+  assert.deepEqual(calc.spendBooks({ low:9, mid:0, high:0 }, { low:0, mid:2, high:0 }), { left:{ low:3, mid:0, high:0 }, mora:2 * calc.CRAFT_MORA.mid });
+  assert.deepEqual(calc.spendBooks({ low:2, mid:0, high:0 }, { low:3, mid:0, high:0 }), { blocked:'low' });
+  const { plans, left } = calc.allocateBudget([item('hutao', { levelTarget:'20' })], { mora:1e9, hero:7 }, STEPS);
+  assert.equal(plans[0].reached.levelCurrent, '20');
+  assert.equal(left.xp, 7 * calc.HERO_XP - calc.calcLevelCost('1', '20').xp);
+  assert.equal(plans[0].blocker.material, 'book'); // talents 1 → 6 with no books
+});
+
+test('budget walk: Traveler elements walk their shared level once, on the first element', () => {
+  const talents = { naTarget:2, skillTarget:1, burstTarget:1 };
+  const anemo = item('traveler_anemo', { uid:'a', levelTarget:'20', ...talents }), geo = item('traveler_geo', { uid:'g', levelTarget:'40', ...talents });
+  // Hero's Wit for 1 → 40 once; the books both NA 1 → 2 steps need (Traveler NA 2 is Freedom for every element)
+  const budget = { mora:1e9, hero:Math.ceil(calc.calcLevelCost('1', '40').xp / calc.HERO_XP), books:{ freedom:{ low:6 } } };
+  const { plans } = calc.allocateBudget([anemo, geo], budget, STEPS);
+  assert.deepEqual(plans[0].steps.filter(s => s.kind === 'level').map(s => s.to), ['20', '20+', '40']);
+  assert.deepEqual(plans[1].steps.map(s => s.kind), ['talent']);
+  assert.ok(plans.every(p => !p.blocker && p.steps.every(s => s.affordable)));
+  assert.equal(plans[0].reached.levelCurrent, '40');
+  // the level steps cost what one ungrouped 1 → 40 walk costs
+  const levelMora = steps => steps.filter(s => s.kind === 'level').map(s => s.mora);
+  assert.deepEqual(levelMora(plans[0].steps), levelMora(calc.budgetSteps({ ...geo, levelGroup:null }, STEPS)));
+});
+
+test('budget level steps cost the same Mora as the card (EXP books fed, ascension, endgame)', () => {
+  const steps = calc.budgetSteps(item('hutao', { levelTarget:'95', naTarget:1, skillTarget:1, burstTarget:1 }), STEPS);
+  for (const { from, to, mora } of steps){
+    assert.equal(mora, calc.calcLevelCost(from, to).mora + calc.calcAscensionCost(from, to).mora + calc.calcEndgameCost(from, to).mora, `${from} → ${to}`);
+    assert.equal(mora, calc.stepSpend(item('hutao'), { kind:'level', from, to }, STEPS).mora);
+  }
+  // whole EXP books are fed, so the leftover XP is paid for too
+  assert.equal(steps[0].mora, calc.calcLevelCost('1', '20').mora);
+  assert.ok(steps[0].mora >= steps[0].xp / calc.XP_PER_MORA);
+});
+
+test('completed steps: next step per track, talents held at the phase cap, spend from the level / talent costs', () => {
+  const hu = item('hutao', { uid:'h', levelCurrent:'80', naCurrent:8, naTarget:10, skillCurrent:6, skillTarget:9 });
+  const next = calc.nextSteps(hu, STEPS);
+  assert.deepEqual(Object.keys(next), ['level', 'skill', 'burst']); // NA 8 → 9 needs the 80✦ phase first
+  assert.deepEqual([next.level.from, next.level.to, next.skill.from, next.skill.to], ['80', '80+', 6, 7]);
+
+  const level = calc.historyEntry(hu, next.level, '2026-10-21T12:00:00', STEPS);
+  assert.equal(level.track, 'level');
+  assert.equal(level.mora, calc.calcLevelCost('80', '80+').mora + calc.calcAscensionCost('80', '80+').mora);
+  assert.ok(level.materials.some(m => m.value > 0));
+  const skill = calc.historyEntry(hu, next.skill, '2026-10-21T12:00:00', STEPS);
+  const cost = calc.calcTalentCost(6, 7, STEPS);
+  assert.deepEqual([skill.mora, skill.crown, skill.books], [cost.mora, cost.crown, cost.books]);
+  assert.equal(skill.book.key, 'diligence');
+
+  const homa = weapon('staff_of_homa', { uid:'w', levelCurrent:'80+' });
+  const w = calc.historyEntry(homa, calc.nextSteps(homa).level, '2026-10-21T12:00:00');
+  assert.deepEqual([w.kind, w.from, w.to, w.mora], ['weapon', '80+', '90', calc.calcWeaponCost({ ...homa, levelTarget:'90' }).mora]);
+});
+
+test('history sums per week (from Monday, newest first) and per character (most Mora first)', () => {
+  assert.equal(calc.weekStart('2026-10-21T12:00:00'), '2026-10-19');
+  assert.equal(calc.weekStart('2026-10-25T23:00:00'), '2026-10-19');
+  assert.equal(calc.weekStart('2026-10-26T01:00:00'), '2026-10-26');
+  const entry = (at, id, mora, low = 0) => ({ at:new Date(at).toISOString(), id, kind:'character', name:id, mora, books:{ low, mid:0, high:0 } });
+  const history = [entry('2026-10-20T10:00:00', 'hutao', 100, 3), entry('2026-10-22T10:00:00', 'xiangling', 500), entry('2026-10-27T10:00:00', 'hutao', 50, 6)];
+  assert.deepEqual(calc.summarizeHistory(history, 'week').map(r => [r.key, r.steps, r.mora, r.books.low]),
+    [['2026-10-26', 1, 50, 6], ['2026-10-19', 2, 600, 3]]);
+  assert.deepEqual(calc.summarizeHistory(history, 'character').map(r => [r.id, r.mora, r.books.low]), [['xiangling', 500, 0], ['hutao', 150, 9]]);
+});
+
+test('scenarios: talents-to-N presets raise levels, saved targets override cards, rows line up per series tier', () => {
+  const hu = item('hutao', { uid:'h', levelTarget:'70', naCurrent:9, naTarget:9 });
+  const xl = item('xiangling', { uid:'x', levelCurrent:'90' });
+  const homa = weapon('staff_of_homa', { uid:'w', levelCurrent:'80+' });
+  const list = [hu, xl, homa];
+
+  const eight = calc.applyScenario(list, { name:'8', talent:8 });
+  assert.deepEqual(['na', 'skill', 'burst'].map(k => eight[0][`${k}Target`]), [9, 8, 8]); // never below current
+  assert.equal(eight[0].levelTarget, '80+'); // NA 9 needs phase 6
+  assert.equal(eight[2], homa);
+
+  const saved = calc.snapshotTargets(list);
+  assert.deepEqual(saved.w, { levelTarget:'90' });
+  saved.x.naTarget = 10;
+  assert.equal(calc.applyScenario(list, { name:'s', targets:saved })[1].naTarget, 10);
+
+  const { totals, rows } = calc.compareScenarios(list, [null, { talent:8 }, { talent:10 }], STEPS);
+  assert.equal(totals.length, 3);
+  const row = key => rows.find(r => r.key === key);
+  assert.deepEqual(row('mora').values, totals.map(t => t.sum.mora));
+  assert.ok(row('mora').values[0] < row('mora').values[1] && row('mora').values[1] < row('mora').values[2]);
+  assert.deepEqual(row('crown').values, [0, 0, 6]); // one per 9 → 10 step, three talents each
+  const phil = rows.filter(r => r.kind === 'book' && r.tier === 'philosophies');
+  assert.ok(phil.length >= 1 && phil.every(r => r.values[2] > r.values[1]));
+});
@@ -0,0 +1,48 @@
+// node --test test/ (cheerio / node-fetch are only loaded when the generator runs)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSeries, buildSeriesIndex, mergeCharacters } = require('../genshin_characters_generator.js');
+
+test('series names resolve to region / day in English and Korean, any tier wording', () => {
+  const freedom = { region:'mond', day:'mon', key:'freedom' };
+  assert.deepEqual(resolveSeries('Freedom'), freedom);
+  assert.deepEqual(resolveSeries('Teachings of Freedom'), freedom);
+  assert.deepEqual(resolveSeries('Philosophies of  "Freedom"'), freedom);
+  assert.deepEqual(resolveSeries('자유'), freedom);
+  assert.deepEqual(resolveSeries('「자유」의 철학'), freedom);
+  assert.deepEqual(resolveSeries('Justice'), { region:'fontaine', day:'tue', key:'judgment' });
+  assert.deepEqual(resolveSeries('Kindling'), { region:'natlan', day:'tue', key:'war' });
+  assert.equal(resolveSeries('Nonsense'), null);
+  assert.equal(resolveSeries(''), null);
+});
+
+test('names shared by two series are left out of the index', () => {
+  const index = buildSeriesIndex({ a:{ mon:{ key:'x', name_en:'Same', name_kr:'가' } }, b:{ tue:{ key:'y', name_en:'Same', name_kr:'나' } } });
+  assert.equal(index.has('same'), false);
+  assert.deepEqual(index.get('나'), { region:'b', day:'tue', key:'y' });
+});
+
+test('merge keeps ids, hand-edited fields and unscraped fields', () => {
+  const existing = [
+    { id:'hutao', name_en:'Hutao', name_kr:'호두', element:'Pyro', image:'images/hutao.png', region:'inazma', day:'tue', boss:'juvenile_jade' },
+    { id:'amber', name_en:'Amber', name_kr:'엠버', region:'mond', day:'mon' }
+  ];
+  const scraped = [
+    { id:'hu_tao', name_en:'Hu Tao', name_kr:'', element:'Pyro', weapon:'Polearm', region:'liyue', day:'tue', image:'images/hu_tao.png' },
+    { id:'nahida', name_en:'Nahida', name_kr:'나히다', region:'sumeru', day:'tue', image:'images/nahida.png' }
+  ];
+  const { characters, report } = mergeCharacters(existing, scraped);
+  assert.deepEqual(characters[0], { id:'hutao', name_en:'Hu Tao', name_kr:'호두', element:'Pyro', image:'images/hutao.png',
+    region:'liyue', day:'tue', boss:'juvenile_jade', weapon:'Polearm' });
+  assert.deepEqual(characters[1], existing[1]);
+  assert.equal(characters[2].id, 'nahida');
+  assert.deepEqual(report, { updated:['hutao (name_en, weapon, region)'], added:['nahida'], kept:['amber'] });
+  assert.equal(existing[0].region, 'inazma'); // input untouched
+});
+
+test('merge drops talent_book_series once the series resolves', () => {
+  const { characters } = mergeCharacters(
+    [{ id:'nahida', name_en:'Nahida', region:null, day:null, talent_book_series:'Ingenuity?' }],
+    [{ id:'nahida', name_en:'Nahida', region:'sumeru', day:'tue' }]);
+  assert.deepEqual(characters[0], { id:'nahida', name_en:'Nahida', region:'sumeru', day:'tue' });
+});
@@ -0,0 +1,89 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { validateCharacters } = require('../genshin_characters_validator.js');
+
+const ROOT = path.join(__dirname, '..');
+const ok = { id:'amber', name_en:'Amber', name_kr:'엠버', element:'Pyro', weapon:'Bow', image:'images/amber.png', region:'mond', day:'mon', c3:'burst', c5:'skill' };
+
+test('shipped characters.json has no errors or warnings (passes --strict)', () => {
+  const rows = JSON.parse(fs.readFileSync(path.join(ROOT, 'characters.json'), 'utf8'));
+  assert.deepEqual(validateCharacters(rows, ROOT), { errors:[], warnings:[] });
+});
+
+test('aliases resolve (inazma / wen / Cyro)', () => {
+  const { errors } = validateCharacters([{ ...ok, region:'inazma', day:'wen', element:'Cyro' }], ROOT);
+  assert.deepEqual(errors, []);
+});
+
+test('unresolvable region / day and duplicate ids are errors', () => {
+  const { errors } = validateCharacters([
+    ok,
+    { ...ok },
+    { ...ok, id:'hu_tao', region:'Liyue Harbor', day:null },
+    { ...ok, id:'Bad Id', element:'Void' }
+  ], ROOT);
+  assert.deepEqual(errors, [
+    '#2 (amber): duplicate id (first seen at #1)',
+    "#3 (hu_tao): region 'Liyue Harbor' does not resolve through REGION_ALIAS",
+    "#3 (hu_tao): day '' does not resolve through DAY_ALIAS",
+    "#4 (Bad Id): id 'Bad Id' must be lowercase letters, digits and _",
+    "#4 (Bad Id): element 'Void' has no gem family"
+  ]);
+});
+
+test('talent_books replaces region / day and names known series only', () => {
+  const { region, day, ...noDay } = ok;
+  const { errors } = validateCharacters([
+    { ...noDay, id:'trav', talent_books:{ na:['freedom','resistance','ballad'], all:'prosperity' } },
+    { ...noDay, id:'bad', talent_books:{ na:['freedom','wisdom'], passive:'gold' } }
+  ], ROOT);
+  assert.deepEqual(errors, [
+    "#2 (bad): talent_books.na: unknown series 'wisdom'",
+    '#2 (bad): talent_books.passive is not one of na / skill / burst / all',
+    '#2 (bad): talent_books has no series for skill (or all)',
+    '#2 (bad): talent_books has no series for burst (or all)'
+  ]);
+});
+
+test('c3 / c5 must name a talent and differ', () => {
+  const { errors, warnings } = validateCharacters([{ ...ok, c3:'ult' }, { ...ok, id:'b', c5:'burst' }, { ...ok, id:'c', c5:undefined }], ROOT);
+  assert.deepEqual(errors, [
+    "#1 (amber): c3 'ult' must be one of na / skill / burst",
+    "#2 (b): c3 and c5 both boost 'burst'"
+  ]);
+  assert.deepEqual(warnings, ['#3 (c): c5 missing (constellation talent boost is ignored)']);
+});
+
+test('aliases must be strings; one that is another character\'s name is a warning', () => {
+  const { errors, warnings } = validateCharacters([
+    { ...ok, aliases:['엠버짱'] },
+    { ...ok, id:'b', name_en:'B', name_kr:'비', aliases:'Bee' },
+    { ...ok, id:'c', name_en:'C', name_kr:'씨', aliases:['amber', 'C C'] }
+  ], ROOT);
+  assert.deepEqual(errors, ['#2 (b): aliases must be an array of non-empty strings']);
+  assert.deepEqual(warnings, ["#3 (c): alias 'amber' is amber's name"]);
+});
+
+test('missing images, Korean names and unknown materials are warnings', () => {
+  const { errors, warnings } = validateCharacters([{ ...ok, name_kr:'', image:'images/nobody.png', boss:'not_a_boss' }], ROOT);
+  assert.deepEqual(errors, []);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[1], /images\/nobody\.png' not found/);
+});
+
+test('gem / ascension_common overrides must be known; level_group must be a string', () => {
+  const { errors, warnings } = validateCharacters([
+    { ...ok, gem:'brilliant_diamond', ascension_common:'mask', level_group:'traveler' },
+    { ...ok, id:'b', name_en:'B', name_kr:'비', gem:'ruby', ascension_common:'masks', level_group:3 },
+    { ...ok, id:'c', name_en:'C', name_kr:'씨', element:'diamond' }
+  ], ROOT);
+  assert.deepEqual(errors, ['#2 (b): level_group must be a non-empty string', "#3 (c): element 'diamond' has no gem family"]);
+  assert.deepEqual(warnings, ["#2 (b): gem 'ruby' is not in the material catalog", "#2 (b): ascension_common 'masks' is not in the material catalog"]);
+});
+
+test('non-array input is rejected', () => {
+  assert.deepEqual(validateCharacters({}, ROOT).errors, ['characters.json must be an array']);
+});
@@ -0,0 +1,23 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../i18n.js');
+
+test('every language has the same keys and placeholders as ko', () => {
+  const placeholders = s => (s.match(/\{\w+\}/g) || []).sort().join();
+  const ko = i18n.STRINGS.ko;
+  for (const lang of Object.keys(i18n.LANGUAGES)){
+    const strings = i18n.STRINGS[lang];
+    assert.deepEqual(Object.keys(strings).sort(), Object.keys(ko).sort(), lang);
+    for (const key of Object.keys(ko)) assert.equal(placeholders(strings[key]), placeholders(ko[key]), `${lang} ${key}`);
+  }
+});
+
+test('t() interpolates, falls back to ko then to the key', () => {
+  assert.equal(i18n.setLanguage('en'), 'en');
+  assert.equal(i18n.t('plan.deleteConfirm', { name:'A' }).includes('A'), true);
+  assert.equal(i18n.t('no.such.key'), 'no.such.key');
+  assert.equal(i18n.setLanguage('xx'), i18n.DEFAULT_LANG);
+  assert.equal(i18n.getLanguage(), 'ko');
+  assert.match(i18n.t('estimate.days', { days:3 }), /^3일/);
+});
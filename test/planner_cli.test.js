@@ -0,0 +1,104 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const CLI = path.join(__dirname, '..', 'genshin_planner_cli.js');
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding:'utf8' });
+
+function writeTemp(t, name, text){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planner-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive:true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('JSON roster (web export format) → JSON totals', t => {
+  const file = writeTemp(t, 'plan.json', JSON.stringify({ format:'genshin-calc/plan', version:1, name:'test',
+    roster:[{ id:'hutao', levelCurrent:'80+', naTarget:10 }, { name:'Xiangling' }] }));
+  const res = run(file, '--format', 'json');
+  assert.equal(res.status, 0, res.stderr);
+  const out = JSON.parse(res.stdout);
+  assert.deepEqual(out.characters.map(c => c.id), ['hutao', 'xiangling']);
+  assert.equal(out.total.crown, 1);
+  const series = out.series.find(s => s.key === 'diligence');
+  assert.deepEqual(series.characters, ['호두', '향릉']);
+  assert.equal(series.philosophies, 38);
+});
+
+test('CSV roster → CSV rows with per-series book tiers', t => {
+  const file = writeTemp(t, 'roster.csv', 'id,levelCurrent,levelTarget,naTarget\nhutao,80✦,90,10\n');
+  const res = run(file, '--format=csv');
+  assert.equal(res.status, 0, res.stderr);
+  const lines = res.stdout.trim().split('\n');
+  assert.equal(lines[0], 'section,key,label,value');
+  assert.ok(lines.includes('books,liyue_diligence_philosophies,근면의 철학,38'));
+  assert.ok(lines.includes('total,crown,왕관,1'));
+});
+
+test('--lang en labels rows and names from the English string catalog', t => {
+  const file = writeTemp(t, 'roster.csv', 'id,levelCurrent,levelTarget,naTarget\nhutao,80✦,90,10\n');
+  const csv = run(file, '--format=csv', '--lang=en').stdout.trim().split('\n');
+  assert.ok(csv.includes('books,liyue_diligence_philosophies,Philosophies of Diligence,38'));
+  assert.ok(csv.includes('total,crown,Crown of Insight,1'));
+  const table = run(file, '--lang', 'en');
+  assert.equal(table.status, 0, table.stderr);
+  assert.match(table.stdout, /^Characters \(1\): Hutao\n/);
+  assert.match(table.stdout, /\[Talent books\]/);
+  assert.doesNotMatch(table.stdout, /[\uAC00-\uD7A3]/);
+});
+
+test('invalid rosters list every problem and exit 1', t => {
+  const file = writeTemp(t, 'bad.json', JSON.stringify([{ id:'nope' }, { id:'hutao', naTarget:11 }, { id:'hutao' }]));
+  const res = run(file);
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /Invalid roster \(3\)/);
+  assert.match(res.stderr, /#1: unknown character 'nope'/);
+  assert.match(res.stderr, /#2 \(hutao\): naTarget '11'/);
+  assert.match(res.stderr, /#3: duplicate character 'hutao'/);
+});
+
+test('weapons (kind=weapon) may repeat and add ore / weapon material rows', t => {
+  const file = writeTemp(t, 'weapons.csv', 'kind,id,name,levelCurrent,levelTarget\nweapon,staff_of_homa,,1,90\nweapon,,Staff of Homa,80+,90\nweapon,favonius_sword,,1,85\n');
+  const bad = run(file);
+  assert.equal(bad.status, 1);
+  assert.match(bad.stderr, /#3 \(favonius_sword\): levelTarget '85' — must be one of/);
+
+  fs.writeFileSync(file, 'kind,id,levelCurrent,levelTarget\nweapon,staff_of_homa,1,90\nweapon,staff_of_homa,80+,90\n');
+  const res = run(file, '--format', 'json');
+  assert.equal(res.status, 0, res.stderr);
+  const out = JSON.parse(res.stdout);
+  assert.deepEqual(out.characters, []);
+  assert.deepEqual(out.weapons.map(w => w.levelCurrent), ['1', '80+']);
+  assert.equal(out.total.ore.mystic, 906 + 310);
+  assert.equal(out.materials.find(m => m.key === 'aerosiderite_t5').value, 6);
+});
+
+test('JSON without a roster array is rejected', t => {
+  for (const data of [{ foo:1 }, { roster:'hutao' }, 'hutao', null]){
+    const res = run(writeTemp(t, 'plan.json', JSON.stringify(data)));
+    assert.equal(res.status, 1);
+    assert.equal(res.stdout, '');
+    assert.match(res.stderr, /Failed to read input: .*expected a JSON array or an object with a "roster" array/);
+  }
+});
+
+test('unknown format or language is rejected', () => {
+  const res = run('roster.json', '--format', 'xml');
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /Unknown format: xml/);
+  assert.match(run('roster.json', '--lang', 'fr').stderr, /Unknown language: fr \(ko \| en\)/);
+});
+
+test('level targets follow the talent gates; inverted ranges are noted on stderr', t => {
+  const file = writeTemp(t, 'gates.json', JSON.stringify([{ id:'hutao', levelTarget:'70', naTarget:10 }, { id:'xiangling', levelCurrent:'90', levelTarget:'80' }]));
+  const res = run(file, '--format', 'json');
+  assert.equal(res.status, 0, res.stderr);
+  assert.equal(JSON.parse(res.stdout).characters[0].levelTarget, '80+');
+  assert.match(res.stderr, /#1 \(hutao\): levelTarget raised 70 → 80✦/);
+  assert.match(res.stderr, /#2 \(xiangling\): levelTarget is below the current value/);
+});
@@ -0,0 +1,51 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { APP_FILES, buildManifest, updateServiceWorker } = require('../genshin_precache_manifest.js');
+
+const ROOT = path.join(__dirname, '..');
+const SW = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+
+test('sw.js carries the current precache manifest (run node genshin_precache_manifest.js)', () => {
+  assert.equal(updateServiceWorker(SW, buildManifest(ROOT)), SW);
+});
+
+test('every precached file exists; data, scripts and images are all listed', () => {
+  const { files } = buildManifest(ROOT);
+  for (const file of files.filter(f => f !== './')) assert.ok(fs.existsSync(path.join(ROOT, file)), file);
+  for (const file of ['characters.json', 'book_cost.json', 'weapons.json', 'styles.css', 'app.js']) assert.ok(APP_FILES.includes(file), file);
+  assert.ok(files.includes('images/charlotte.png'));
+  assert.ok(files.some(f => f.startsWith('images/books/')));
+});
+
+test('any file change gives a new version', () => {
+  const tmp = fs.mkdtempSync(path.join(require('node:os').tmpdir(), 'precache-'));
+  try {
+    for (const file of APP_FILES.filter(f => f !== './')) fs.copyFileSync(path.join(ROOT, file), path.join(tmp, file));
+    const before = buildManifest(tmp).version;
+    fs.appendFileSync(path.join(tmp, 'book_cost.json'), '\n');
+    assert.notEqual(buildManifest(tmp).version, before);
+  } finally { fs.rmSync(tmp, { recursive:true, force:true }); }
+});
+
+test('updateServiceWorker only touches the marked block', () => {
+  assert.throws(() => updateServiceWorker('self.addEventListener()', { version:'x', files:[] }), /markers/);
+  const next = updateServiceWorker(SW, { version:'abc', files:['index.html'] });
+  assert.match(next, /const PRECACHE_VERSION = 'abc';/);
+  assert.equal(next.split('// end of precache manifest')[1], SW.split('// end of precache manifest')[1]);
+});
+
+test('every icon calc.js points at is precached (no request that can only fail)', () => {
+  const calc = require('../calc.js');
+  const { files } = buildManifest(ROOT);
+  const books = Object.entries(calc.TALENT_BOOKS).flatMap(([region, days]) => Object.keys(days).map(day => calc.makeTalentBook(region, day)));
+  const icons = [
+    ...books.flatMap(b => [b.image, ...Object.values(b.tiers).map(t => t.image)]),
+    ...calc.WEAPON_ORES.map(o => o.icon),
+    ...JSON.parse(fs.readFileSync(path.join(ROOT, 'characters.json'), 'utf8')).map(calc.normalizeCharacter)
+      .flatMap(c => calc.materialEntries(c.materials, { weekly:1 }).map(e => e.icon))
+  ];
+  for (const icon of icons.filter(Boolean)) assert.ok(files.includes(icon), icon);
+});
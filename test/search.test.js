@@ -0,0 +1,33 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calc = require('../calc.js');
+const search = require('../search.js');
+
+const CHARACTERS = require('../characters.json').map(calc.normalizeCharacter);
+const top = query => search.searchCatalog(query, CHARACTERS).map(h => h.entry.id);
+
+test('초성 reduce syllables to initial consonants and may mix with syllables', () => {
+  assert.equal(search.toChoseong('호두 Hutao'), 'ㅎㄷ Hutao');
+  assert.deepEqual(top('ㅎㄷ')[0], 'hutao');
+  assert.deepEqual(top('카ㅈㅎ'), ['kazuha']);
+  assert.equal(search.matchScore('ㅎㄷ', CHARACTERS.find(c => c.id === 'hutao')), search.SEARCH_SCORE.initials);
+});
+
+test('exact names beat prefixes, word starts and substrings; case and spaces are ignored', () => {
+  assert.deepEqual(top('hu tao'), ['hutao']);
+  assert.equal(top('Kazuha')[0], 'kazuha');
+  assert.equal(top('카즈하')[0], 'kazuha');
+  const scores = search.searchCatalog('xi', CHARACTERS);
+  assert.ok(scores.every(h => h.score === search.SEARCH_SCORE.prefix));
+  assert.equal(top('여행자').length, 6);
+});
+
+test('aliases and typos find the character', () => {
+  assert.deepEqual(top('Childe'), ['tartaglia']);
+  assert.deepEqual(top('스카라무슈'), ['wanderer']);
+  assert.deepEqual(top('kazuah'), ['kazuha']);
+  assert.deepEqual(top('gnayu'), ['ganyu']);
+  assert.equal(search.editDistance('kazuah', 'kazuha'), 1);
+  assert.deepEqual(top('ab'), []); // short queries never go fuzzy
+});
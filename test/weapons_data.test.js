@@ -0,0 +1,39 @@
+// node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const calc = require('../calc.js');
+
+const ROOT = path.join(__dirname, '..');
+const ROWS = JSON.parse(fs.readFileSync(path.join(ROOT, 'weapons.json'), 'utf8'));
+
+test('weapons.json ids are unique slugs with both names', () => {
+  const seen = new Set();
+  for (const w of ROWS){
+    assert.match(w.id, /^[a-z0-9_]+$/, w.id);
+    assert.ok(!seen.has(w.id), `duplicate ${w.id}`);
+    seen.add(w.id);
+    assert.ok(w.name_en && w.name_kr, w.id);
+  }
+});
+
+test('every weapon resolves to a domain series, known elite / common drops and a costed rarity', () => {
+  for (const w of ROWS){
+    const region = calc.REGION_ALIAS[String(w.region).toLowerCase()], day = calc.DAY_ALIAS[String(w.day).toLowerCase()];
+    assert.ok(calc.WEAPON_DOMAINS[region] && calc.WEAPON_DOMAINS[region][day], `${w.id}: ${w.region} / ${w.day}`);
+    assert.ok(calc.ELITE_DROPS[w.elite], `${w.id}: elite ${w.elite}`);
+    assert.ok(calc.COMMON_DROPS[w.common], `${w.id}: common ${w.common}`);
+    assert.ok(calc.WEAPON_RARITIES.includes(w.rarity), `${w.id}: rarity ${w.rarity}`);
+    assert.ok(['Sword', 'Claymore', 'Polearm', 'Catalyst', 'Bow'].includes(w.type), `${w.id}: type ${w.type}`);
+    if (w.image) assert.ok(fs.existsSync(path.join(ROOT, w.image)), `${w.id}: ${w.image}`);
+  }
+});
+
+test('normalized weapons keep every field (nothing falls back to empty)', () => {
+  for (const w of ROWS.map(calc.normalizeWeapon)){
+    assert.ok(w.domain && w.region && w.day, w.id);
+    assert.ok(w.materials.elite && w.materials.common, w.id);
+    assert.ok(w.rarity > 0, w.id);
+  }
+});